@@ -1,101 +1,907 @@
 const vscode = require('vscode');
-const fs = require('fs');
 const path = require('path');
 const YasinFavoritesProvider = require('./provider/YasinFavoritesProvider');
-
-let fileWatchers = [];
+const { Category, GlobalSection, getItemScope, SCOPE_WORKSPACE, SCOPE_GLOBAL } = YasinFavoritesProvider;
+const {
+    CATEGORY_SEPARATOR,
+    normalizeCategoryPath,
+    getParentCategory,
+    getCategoryName,
+    joinCategory,
+    isInCategory
+} = require('./provider/categoryPath');
+const {
+    isUriString,
+    toUri,
+    toItemPath,
+    getBasename,
+    getDirname,
+    joinItemPath,
+    isSameOrInside,
+    statItem,
+    isDirectory
+} = require('./provider/uris');
+const { getItemKey, createBookmark, applyDocumentChange } = require('./provider/bookmarks');
+const { toExportJson, toMarkdown, parseFavoritesFile } = require('./provider/importExport');
+const { findGitDir, readBranch, getLocalBranches } = require('./provider/gitBranch');
+const { findCandidates } = require('./provider/locate');
+const FileOperationJournal = require('./provider/journal');
+const { transferItems, moveItem, createFile } = require('./provider/fileTransfer');
+const UsageHistory = require('./provider/usageHistory');
+const { DEFAULT_MAX_RESULTS } = require('./provider/smartCategories');
+const { getGlobError } = require('./provider/glob');
+const { isActionItem, createAction, getActionTarget, runAction } = require('./provider/actions');
+
+let fileWatchers = new Map();  // favorite path -> watcher
+let smartCategoryWatchers = new Map();  // smart category include glob -> watcher
 let clipboardPaths = [];  // Array for multi-select support
 let clipboardOperation = null; // 'cut' or 'copy'
+let lastActivePath;  // File of the active editor, so switching back and forth in one file isn't counted
+
+const DEFAULT_SET = 'Default';
+const QUICK_OPEN_FILE_LIMIT = 5000; // Files listed from inside favorite folders
+const IMPORT_ACTIONS_LISTED = 20; // Command and task favorites listed when an import asks about them
+
+// Sort orders offered by Sort Order and Sort By... (see provider/sorting.js)
+const SORT_ORDERS = [
+    { value: 'ASC', label: 'A → Z (Ascending)' },
+    { value: 'DESC', label: 'Z → A (Descending)' },
+    { value: 'NATURAL', label: 'Natural Name', detail: 'Numbers by value - file2 before file10' },
+    { value: 'EXTENSION', label: 'Type', detail: 'By extension, then by name' },
+    { value: 'MODIFIED', label: 'Latest Modified' },
+    { value: 'CREATED', label: 'Latest Created' },
+    { value: 'SIZE', label: 'Largest First' },
+    { value: 'MANUAL', label: 'Manual (Drag Order)' }
+];
+
+// Folder placement in folder listings (yasinFavorites.foldersPosition)
+const FOLDERS_POSITIONS = [
+    { value: 'first', label: 'Folders First' },
+    { value: 'last', label: 'Folders Last' },
+    { value: 'mixed', label: 'Folders Mixed with Files' }
+];
+
+// Time limits offered for smart folders (hours)
+const MODIFIED_WITHIN_CHOICES = [
+    { label: 'Any Time', hours: 0 },
+    { label: 'Last Hour', hours: 1 },
+    { label: 'Last 24 Hours', hours: 24 },
+    { label: 'Last 7 Days', hours: 24 * 7 },
+    { label: 'Last 30 Days', hours: 24 * 30 }
+];
+
+// Codicons offered by Set Icon... (any other codicon id or an emoji can be typed in)
+const FAVORITE_ICONS = [
+    'star-full', 'heart', 'pin', 'rocket', 'flame', 'zap', 'bug', 'beaker', 'lightbulb', 'book', 'note',
+    'checklist', 'milestone', 'gear', 'tools', 'terminal', 'database', 'server', 'cloud', 'globe', 'lock',
+    'key', 'shield', 'package', 'home', 'briefcase', 'eye', 'symbol-class', 'symbol-method'
+];
+
+// Branch mode (yasinFavorites.scopeToGitBranch)
+let gitDir;             // Git directory of the first workspace folder, undefined when branch mode is off
+let branchWatcher;      // Watches HEAD in gitDir
+let currentBranch;      // Checked out branch, undefined when detached or branch mode is off
+let branchLists = {};   // Branch name -> { items, categories } in stored form (yasinFavorites.branchFavorites)
 
 /**
- * Get workspace root path
+ * Check whether more than one workspace folder is open
  */
-function getWorkspaceRoot() {
-    return vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+function isMultiRoot() {
+    return (vscode.workspace.workspaceFolders?.length || 0) > 1;
 }
 
 /**
  * Convert absolute path to relative (for saving)
- * Returns relative path if inside workspace, otherwise keeps absolute
+ * Returns path relative to the workspace folder that owns it - in multi-root workspaces the
+ * folder name is recorded too. Paths outside every workspace folder stay absolute (full URI
+ * strings for non-file schemes).
+ * @param {string} absolutePath - Filesystem path or URI string
+ * @returns {{path: string, workspaceFolder?: string}}
  */
 function toRelativePath(absolutePath) {
-    const root = getWorkspaceRoot();
-    if (!root) return absolutePath;
-
-    if (absolutePath.startsWith(root)) {
-        const relative = path.relative(root, absolutePath);
-        return relative || '.'; // '.' if it's the root itself
-    }
-    return absolutePath; // Keep absolute if outside workspace
+    const uri = toUri(absolutePath);
+    const folder = vscode.workspace.getWorkspaceFolder(uri);
+    if (!folder) return { path: absolutePath }; // Keep absolute if outside workspace
+
+    const relative = (folder.uri.scheme === 'file'
+        ? path.relative(folder.uri.fsPath, absolutePath)
+        : path.posix.relative(folder.uri.path, uri.path)) || '.'; // '.' if it's the root itself
+    return isMultiRoot()
+        ? { path: relative, workspaceFolder: folder.name }
+        : { path: relative };
 }
 
 /**
  * Convert relative path to absolute (for loading)
- * Handles both relative and already-absolute paths
+ * Handles both relative and already-absolute paths. Relative paths resolve against the named
+ * workspace folder, or the first folder for entries saved before multi-root support.
+ * @param {string} storedPath
+ * @param {string|undefined} workspaceFolderName
+ * @returns {string}
  */
-function toAbsolutePath(storedPath) {
-    const root = getWorkspaceRoot();
-    if (!root) return storedPath;
-
-    // Already absolute
-    if (path.isAbsolute(storedPath)) {
+function toAbsolutePath(storedPath, workspaceFolderName) {
+    // Already absolute (filesystem path or full URI)
+    if (path.isAbsolute(storedPath) || isUriString(storedPath)) {
         return storedPath;
     }
 
-    // Convert relative to absolute
-    return path.join(root, storedPath);
+    const folders = vscode.workspace.workspaceFolders || [];
+    const folder = (workspaceFolderName && folders.find(f => f.name === workspaceFolderName)) || folders[0];
+    if (!folder) return storedPath;
+
+    // Convert relative to absolute (workspace folders on remote/virtual file systems resolve to URIs)
+    return folder.uri.scheme === 'file'
+        ? path.join(folder.uri.fsPath, storedPath)
+        : toItemPath(vscode.Uri.joinPath(folder.uri, storedPath));
+}
+
+/**
+ * Write a setting only when its value at that target actually changed
+ * (avoids rewriting user settings.json on every workspace-only change)
+ */
+function updateSetting(key, value, target) {
+    const config = vscode.workspace.getConfiguration('yasinFavorites');
+    const inspected = config.inspect(key);
+    const current = target === vscode.ConfigurationTarget.Global ? inspected?.globalValue : inspected?.workspaceValue;
+    if (JSON.stringify(current || (Array.isArray(value) ? [] : {})) === JSON.stringify(value)) return;
+    config.update(key, value, target);
+}
+
+/**
+ * Get favorites in their stored form - workspace favorites with relative paths, global favorites absolute
+ * @returns {{items: object[], globalItems: object[]}}
+ */
+function getStoredItems(provider) {
+    const all = provider.getItems();
+    const items = all
+        .filter(item => getItemScope(item) === SCOPE_WORKSPACE)
+        .map(({ workspaceFolder, ...item }) => isActionItem(item) ? item : {
+            ...item,
+            ...toRelativePath(item.path)
+        });
+    const globalItems = all
+        .filter(item => getItemScope(item) === SCOPE_GLOBAL)
+        .map(({ scope, workspaceFolder, ...item }) => item);
+    return { items, globalItems };
 }
 
 /**
- * Save favorites to workspace settings (converts to relative paths)
+ * Save favorites - workspace favorites to workspace settings (converts to relative paths),
+ * global favorites to user settings (absolute paths)
  */
 function saveConfig(provider) {
+    const { items, globalItems } = getStoredItems(provider);
+    saveWorkspaceList('items', items);
+    updateSetting('globalItems', globalItems, vscode.ConfigurationTarget.Global);
+}
+
+/**
+ * Save categories, their sort orders and the smart categories - workspace ones to workspace settings,
+ * global ones to user settings
+ */
+function saveCategories(provider) {
+    saveWorkspaceList('categories', provider.getCategoryList(SCOPE_WORKSPACE));
+    saveWorkspaceList('categorySortOrders', provider.getCategorySortOrders(SCOPE_WORKSPACE));
+    saveWorkspaceList('smartCategories', provider.getSmartCategories());
+    updateSetting('globalCategories', provider.getCategoryList(SCOPE_GLOBAL), vscode.ConfigurationTarget.Global);
+    updateSetting('globalCategorySortOrders', provider.getCategorySortOrders(SCOPE_GLOBAL), vscode.ConfigurationTarget.Global);
+}
+
+/**
+ * Check whether the checked out branch has its own favorites list (branch mode)
+ */
+function hasBranchList() {
+    return !!(currentBranch && branchLists[currentBranch]);
+}
+
+/**
+ * Write workspace favorites or categories - to the checked out branch's own list in branch mode,
+ * otherwise to the active favorite set (items/categories/categorySortOrders/smartCategories)
+ * @param {'items' | 'categories' | 'categorySortOrders' | 'smartCategories'} key
+ * @param {Array|Object} value - Stored form
+ */
+function saveWorkspaceList(key, value) {
+    if (hasBranchList()) {
+        // The in-memory map is the source of truth, so back-to-back saves don't read stale settings
+        branchLists[currentBranch] = { ...branchLists[currentBranch], [key]: value };
+        updateSetting('branchFavorites', branchLists, vscode.ConfigurationTarget.Workspace);
+    } else {
+        updateSetting(key, value, vscode.ConfigurationTarget.Workspace);
+    }
+}
+
+/**
+ * Load global favorites from user settings (paths are always absolute)
+ */
+function loadGlobalItems() {
+    const config = vscode.workspace.getConfiguration('yasinFavorites');
+    return (config.inspect('globalItems')?.globalValue || []).map(item => ({ ...item, scope: SCOPE_GLOBAL }));
+}
+
+/**
+ * Get the name of the active favorite set
+ */
+function getActiveSetName() {
+    return vscode.workspace.getConfiguration('yasinFavorites').get('activeSet') || DEFAULT_SET;
+}
+
+/**
+ * Get the inactive favorite sets (the active set lives in items/categories/categorySortOrders/smartCategories/sortOrder)
+ * @returns {Object<string, {items: object[], categories: string[], categorySortOrders?: object, smartCategories?: object[], sortOrder: string}>}
+ */
+function getInactiveSets() {
+    return { ...(vscode.workspace.getConfiguration('yasinFavorites').inspect('sets')?.workspaceValue || {}) };
+}
+
+/**
+ * Get the names of all favorite sets, sorted
+ */
+function getSetNames() {
+    return [getActiveSetName(), ...Object.keys(getInactiveSets())].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Capture the active favorite set in its stored form (workspace favorites only - global favorites are shared)
+ * While a branch's own list is shown the set is read from settings instead of the panel.
+ * @returns {{items: object[], categories: string[], categorySortOrders: object, smartCategories: object[], sortOrder: string}}
+ */
+function getActiveSet(provider) {
     const config = vscode.workspace.getConfiguration('yasinFavorites');
-    const items = provider.getItems().map(item => ({
+    return {
+        items: hasBranchList() ? config.get('items') || [] : getStoredItems(provider).items,
+        categories: hasBranchList() ? config.get('categories') || [] : provider.getCategoryList(SCOPE_WORKSPACE),
+        categorySortOrders: hasBranchList()
+            ? config.get('categorySortOrders') || {}
+            : provider.getCategorySortOrders(SCOPE_WORKSPACE),
+        smartCategories: hasBranchList() ? config.get('smartCategories') || [] : provider.getSmartCategories(),
+        sortOrder: config.get('sortOrder') || 'MANUAL'
+    };
+}
+
+/**
+ * Load a stored favorite set as the workspace favorites (converts relative paths back to absolute)
+ * @param {{items?: object[], categories?: string[], categorySortOrders?: object, smartCategories?: object[], sortOrder?: string}} set
+ */
+function loadWorkspaceSet(provider, set) {
+    provider.setSortOrder(set.sortOrder || 'MANUAL');
+    provider.setCategoryList(set.categories || []);
+    provider.setCategorySortOrders(set.categorySortOrders || {});
+    provider.setSmartCategories(set.smartCategories || []);
+    provider.setItems((set.items || []).map(({ workspaceFolder, ...item }) => isActionItem(item) ? item : {
         ...item,
-        path: toRelativePath(item.path)
-    }));
-    config.update('items', items, vscode.ConfigurationTarget.Workspace);
+        path: toAbsolutePath(item.path, workspaceFolder)
+    }).concat(provider.getItems().filter(item => getItemScope(item) === SCOPE_GLOBAL)));
 }
 
 /**
- * Save categories to workspace settings
+ * Load the workspace favorites - the checked out branch's own list in branch mode, otherwise the active set
  */
-function saveCategories(provider) {
+function loadWorkspaceFavorites(provider) {
+    const config = vscode.workspace.getConfiguration('yasinFavorites');
+    const list = hasBranchList()
+        ? branchLists[currentBranch]
+        : {
+            items: config.get('items'),
+            categories: config.get('categories'),
+            categorySortOrders: config.get('categorySortOrders'),
+            smartCategories: config.get('smartCategories')
+        };
+    loadWorkspaceSet(provider, { ...list, sortOrder: config.get('sortOrder') });
+}
+
+/**
+ * Make another favorite set active - the current set is stored under its name, the new one is loaded
+ * @param {string} name - Set to activate
+ * @param {{items?: object[], categories?: string[], sortOrder?: string}} set - Stored content of that set
+ * @param {boolean} keepCurrent - False drops the current set (when deleting it)
+ */
+async function activateSet(provider, context, treeView, name, set, keepCurrent = true) {
     const config = vscode.workspace.getConfiguration('yasinFavorites');
-    config.update('categories', provider.getCategoryList(), vscode.ConfigurationTarget.Workspace);
+    const sets = getInactiveSets();
+    if (keepCurrent) {
+        sets[getActiveSetName()] = getActiveSet(provider);
+    }
+    delete sets[name];
+
+    // Wait for the writes so a quick second switch reads the updated sets
+    await Promise.all([
+        config.update('sets', Object.keys(sets).length > 0 ? sets : undefined, vscode.ConfigurationTarget.Workspace),
+        config.update('activeSet', name === DEFAULT_SET ? undefined : name, vscode.ConfigurationTarget.Workspace),
+        config.update('sortOrder', set.sortOrder || 'MANUAL', vscode.ConfigurationTarget.Workspace),
+        config.update('items', set.items || [], vscode.ConfigurationTarget.Workspace),
+        config.update('categories', set.categories || [], vscode.ConfigurationTarget.Workspace),
+        config.update('categorySortOrders', set.categorySortOrders, vscode.ConfigurationTarget.Workspace),
+        config.update('smartCategories', set.smartCategories, vscode.ConfigurationTarget.Workspace)
+    ]);
+
+    loadWorkspaceFavorites(provider);
+    setupWatchers(provider, context);
+    updateViewDescription(provider, treeView);
 }
 
 /**
- * Create file watcher for a favorited path
+ * Show the active set's name (once there is more than one set), the checked out branch and the filter
+ * next to the view title
+ * @param {vscode.TreeView} treeView
  */
-function createWatcher(provider, favPath, context) {
-    const pattern = new vscode.RelativePattern(favPath, '**/*');
-    const watcher = vscode.workspace.createFileSystemWatcher(pattern);
-    watcher.onDidCreate(() => provider.refresh());
-    watcher.onDidDelete((uri) => {
+function updateViewDescription(provider, treeView) {
+    const parts = [];
+    const activeSet = getActiveSetName();
+    if (activeSet !== DEFAULT_SET || Object.keys(getInactiveSets()).length > 0) {
+        parts.push(activeSet);
+    }
+    if (currentBranch) {
+        parts.push(hasBranchList() ? currentBranch : `${currentBranch} (base list)`);
+    }
+    if (provider.getFilter()) {
+        parts.push(`Filter: ${provider.getFilter()}`);
+    }
+    treeView.description = parts.length > 0 ? parts.join(' · ') : undefined;
+}
+
+/**
+ * Show the favorites of another branch (undefined = the active set)
+ * @param {string|undefined} branch
+ */
+function switchBranch(provider, context, treeView, branch) {
+    if (branch === currentBranch) return;
+    currentBranch = branch;
+    loadWorkspaceFavorites(provider);
+    setupWatchers(provider, context);
+    updateViewDescription(provider, treeView);
+}
+
+/**
+ * Start (or stop) following the checked out branch of the first workspace folder, per yasinFavorites.scopeToGitBranch
+ * Only the local .git/HEAD file is read and watched.
+ */
+async function startBranchTracking(provider, context, treeView) {
+    branchWatcher?.dispose();
+    branchWatcher = undefined;
+    gitDir = undefined;
+
+    const folder = vscode.workspace.workspaceFolders?.[0];
+    const foundGitDir = folder && vscode.workspace.getConfiguration('yasinFavorites').get('scopeToGitBranch')
+        ? await findGitDir(folder.uri)
+        : undefined;
+    if (!foundGitDir) {
+        switchBranch(provider, context, treeView, undefined);
+        return;
+    }
+
+    gitDir = foundGitDir;
+    const update = async () => switchBranch(provider, context, treeView, await readBranch(foundGitDir));
+    branchWatcher = vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(foundGitDir, 'HEAD'));
+    branchWatcher.onDidCreate(update);
+    branchWatcher.onDidChange(update);
+    context.subscriptions.push(branchWatcher);
+    await update();
+}
+
+/**
+ * Ask for a new favorite set name
+ * @param {string} prompt
+ * @param {string} value - Initial value
+ * @returns {Promise<string|undefined>}
+ */
+async function askSetName(prompt, value) {
+    const existing = getSetNames();
+    const name = await vscode.window.showInputBox({
+        prompt,
+        value,
+        placeHolder: 'Frontend',
+        validateInput: input => {
+            if (!input.trim()) return 'Name cannot be empty';
+            return existing.includes(input.trim()) ? `A favorite set named "${input.trim()}" already exists` : undefined;
+        }
+    });
+    return name?.trim() || undefined;
+}
+
+/**
+ * Build the Go to Favorite quick pick - favorites grouped by category (panel order), then optionally
+ * the files inside favorite folders
+ * @param {boolean} includeFolderContents
+ * @returns {Promise<vscode.QuickPickItem[]>} - Items carry the tree node to open/reveal in `node`
+ */
+async function getQuickOpenItems(provider, includeFolderContents) {
+    const picks = [];
+    const toPick = (node, icon) => ({
+        label: `$(${icon}) ${node.label}`,
+        description: !node.resourceUri
+            ? node.description
+            : node.type === 'bookmark'
+                ? `${vscode.workspace.asRelativePath(node.resourceUri, isMultiRoot())} ${node.description || ''}`
+                : vscode.workspace.asRelativePath(node.resourceUri, isMultiRoot()),
+        node
+    });
+
+    for (const scope of [SCOPE_WORKSPACE, SCOPE_GLOBAL]) {
+        const items = provider.getItems().filter(item => getItemScope(item) === scope);
+        const addLevel = async categoryName => {
+            const levelItems = items.filter(item => (item.category || undefined) === categoryName);
+            if (levelItems.length > 0) {
+                const title = categoryName ? categoryName.split(CATEGORY_SEPARATOR).join(' / ') : 'Favorites';
+                picks.push({
+                    label: scope === SCOPE_GLOBAL ? `Global ${title}` : title,
+                    kind: vscode.QuickPickItemKind.Separator
+                });
+                for (const item of levelItems) {
+                    const node = await provider.createFavoriteNode(item);
+                    const icon = node.iconPath?.id || (item.type === 'folder' ? 'folder' : 'file');
+                    picks.push(toPick(node, icon));
+                }
+            }
+            for (const childName of provider.getChildCategories(categoryName, scope)) {
+                await addLevel(childName);
+            }
+        };
+        await addLevel(undefined);
+    }
+
+    if (includeFolderContents) {
+        let remaining = QUICK_OPEN_FILE_LIMIT;
+        for (const folder of provider.getItems().filter(item => item.type === 'folder')) {
+            if (remaining <= 0) break;
+            const files = await provider.getFolderFiles(folder.path, remaining);
+            remaining -= files.length;
+            if (files.length > 0) {
+                picks.push({ label: `Inside ${getBasename(folder.path)}`, kind: vscode.QuickPickItemKind.Separator });
+                files.forEach(file => picks.push(toPick(file, 'file')));
+            }
+        }
+    }
+
+    return picks;
+}
+
+/**
+ * Apply a tree filter and update the filter context key and view description
+ * @param {string|undefined} text - Empty/undefined clears the filter
+ */
+function applyFilter(provider, treeView, text) {
+    provider.setFilter(text);
+    vscode.commands.executeCommand('setContext', 'yasinFavorites.filterActive', !!provider.getFilter());
+    updateViewDescription(provider, treeView);
+}
+
+/**
+ * Undo or redo a journaled file operation and save the favorites that followed it
+ * @param {() => Promise<{label: string}|undefined>} run - journal.undo / journal.redo
+ * @param {string} action - "Undo" / "Redo"
+ * @param {string} emptyMessage - Shown when there is nothing to undo/redo
+ */
+async function runJournal(provider, context, run, action, emptyMessage) {
+    try {
+        const entry = await run();
+        if (!entry) {
+            vscode.window.setStatusBarMessage(emptyMessage, 2000);
+            return;
+        }
+        vscode.window.setStatusBarMessage(`✅ ${action}: ${entry.label}`, 2000);
+    } catch (err) {
+        vscode.window.showErrorMessage(`${action} failed: ${err.message}`);
+    } finally {
+        saveConfig(provider);
+        setupWatchers(provider, context);
         provider.refresh();
+    }
+}
+
+/**
+ * Update the context keys that enable Undo/Redo
+ */
+function updateJournalContext(journal) {
+    vscode.commands.executeCommand('setContext', 'yasinFavorites.canUndo', journal.canUndo());
+    vscode.commands.executeCommand('setContext', 'yasinFavorites.canRedo', journal.canRedo());
+}
+
+/**
+ * Show or hide excluded files in folder listings - remembered per workspace
+ * @param {boolean} show
+ */
+function setShowHiddenFiles(provider, context, show) {
+    provider.setShowHiddenFiles(show);
+    context.workspaceState.update('yasinFavorites.showHiddenFiles', show);
+    vscode.commands.executeCommand('setContext', 'yasinFavorites.showingHiddenFiles', show);
+}
+
+/**
+ * Get quick pick items for the sort orders
+ * @param {string|undefined} current - Marked as current
+ * @returns {vscode.QuickPickItem[]} - Items carry the order in `value`
+ */
+function getSortOrderPicks(current) {
+    return SORT_ORDERS.map(({ value, label, detail }) => ({
+        label,
+        value,
+        detail,
+        description: current === value ? '✓ Current' : ''
+    }));
+}
+
+/**
+ * Ask for a sort order
+ * @param {string|undefined} current - Current order (undefined = inherited)
+ * @param {string} placeHolder
+ * @param {string} [inheritedOrder] - Also offer "Default" (use this inherited order)
+ * @returns {Promise<{label: string, value: string|undefined}|undefined>} - value undefined = inherit
+ */
+async function askSortOrder(current, placeHolder, inheritedOrder) {
+    const options = getSortOrderPicks(current);
+    if (inheritedOrder) {
+        const inheritedLabel = SORT_ORDERS.find(({ value }) => value === inheritedOrder)?.label || inheritedOrder;
+        options.unshift({
+            label: 'Default',
+            value: undefined,
+            description: `${current ? '' : '✓ Current - '}same as the parent: ${inheritedLabel}`
+        });
+    }
+    return vscode.window.showQuickPick(options, { placeHolder });
+}
+
+/**
+ * Check that a favorites level keeps the manual order - otherwise explain why reordering does nothing
+ * @param {string|undefined} categoryName
+ * @param {'workspace' | 'global'} scope
+ * @returns {boolean}
+ */
+function isManuallyOrdered(provider, categoryName, scope) {
+    const order = provider.getLevelSortOrder(categoryName, scope);
+    if (order === 'MANUAL') return true;
+    const label = SORT_ORDERS.find(({ value }) => value === order)?.label || order;
+    vscode.window.showInformationMessage(`These favorites are sorted ${label} - choose Manual (Drag Order) to reorder them`);
+    return false;
+}
+
+/**
+ * Get the stored favorite behind a panel node (the selected one if invoked without)
+ * @returns {object|undefined}
+ */
+function getFavoriteItem(provider, treeView, resource) {
+    const node = resource || treeView.selection[0];
+    return node?.itemKey ? provider.getItems().find(item => getItemKey(item) === node.itemKey) : undefined;
+}
+
+/**
+ * Ask for a smart category's name and rule, step by step - prefilled when editing one
+ * @param {YasinFavoritesProvider} provider
+ * @param {object} [existing] - Rule being edited
+ * @returns {Promise<object|undefined>} - The rule, undefined if cancelled
+ */
+async function askSmartCategoryRule(provider, existing = {}) {
+    const name = await vscode.window.showInputBox({
+        prompt: 'Enter smart folder name',
+        placeHolder: 'e.g. Payment Specs',
+        value: existing.name,
+        validateInput: value => {
+            const trimmed = value.trim();
+            if (!trimmed) return 'Enter a name';
+            return trimmed !== existing.name && provider.getSmartCategory(trimmed)
+                ? `Smart folder "${trimmed}" already exists`
+                : undefined;
+        }
+    });
+    if (name === undefined) return undefined;
+
+    const include = await vscode.window.showInputBox({
+        prompt: 'Files to list - a glob relative to the workspace folder',
+        placeHolder: 'e.g. src/payments/**/*.spec.js or **/*TODO*',
+        value: existing.include,
+        validateInput: value => {
+            if (!value.trim()) return 'Enter a glob';
+            const error = getGlobError(value.trim());
+            return error ? `Invalid glob: ${error}` : undefined;
+        }
+    });
+    if (include === undefined) return undefined;
+
+    const exclude = await vscode.window.showInputBox({
+        prompt: 'Files to leave out (optional)',
+        placeHolder: 'e.g. **/fixtures/**',
+        value: existing.exclude,
+        validateInput: value => {
+            const error = value.trim() && getGlobError(value.trim());
+            return error ? `Invalid glob: ${error}` : undefined;
+        }
     });
-    watcher.onDidChange(() => provider.refresh());
-    context.subscriptions.push(watcher);
-    return watcher;
+    if (exclude === undefined) return undefined;
+
+    const modifiedChoices = MODIFIED_WITHIN_CHOICES.map(choice => ({
+        ...choice,
+        description: (existing.modifiedWithin || 0) === choice.hours ? '✓ Current' : ''
+    }));
+    if (existing.modifiedWithin && !modifiedChoices.some(choice => choice.hours === existing.modifiedWithin)) {
+        modifiedChoices.push({ label: `Last ${existing.modifiedWithin} Hours`, hours: existing.modifiedWithin, description: '✓ Current' });
+    }
+    const modified = await vscode.window.showQuickPick(modifiedChoices, { placeHolder: 'List files modified' });
+    if (!modified) return undefined;
+
+    const maxResults = await vscode.window.showInputBox({
+        prompt: 'Maximum number of files listed',
+        value: String(existing.maxResults || DEFAULT_MAX_RESULTS),
+        validateInput: value => /^[1-9]\d*$/.test(value.trim()) ? undefined : 'Enter a positive number'
+    });
+    if (maxResults === undefined) return undefined;
+
+    const sort = await askSortOrder(existing.sortOrder, 'Sort the files by', provider.sortOrder);
+    if (!sort) return undefined;
+
+    const rule = { name: name.trim(), include: include.trim() };
+    if (exclude.trim()) rule.exclude = exclude.trim();
+    if (modified.hours) rule.modifiedWithin = modified.hours;
+    if (Number(maxResults) !== DEFAULT_MAX_RESULTS) rule.maxResults = Number(maxResults);
+    if (sort.value) rule.sortOrder = sort.value;
+    return rule;
+}
+
+/**
+ * Get the name a favorite is shown by without its alias - the file name, or an action's label
+ * @param {object} item - Stored favorite
+ * @returns {string}
+ */
+function getFavoriteName(item) {
+    return isActionItem(item) ? item.label : getBasename(item.path);
+}
+
+/**
+ * Ask for what an action favorite runs or opens and its label, step by step - prefilled when editing one
+ * @param {'command' | 'task' | 'link'} type
+ * @param {object} [existing] - Action being edited
+ * @returns {Promise<object|undefined>} - The action's fields, undefined if cancelled
+ */
+async function askActionFields(type, existing = {}) {
+    const fields = {};
+    let suggestedLabel;
+
+    if (type === 'command') {
+        const commands = (await vscode.commands.getCommands(true)).sort((a, b) => a.localeCompare(b));
+        const picked = await vscode.window.showQuickPick(
+            commands.map(command => ({ label: command, description: command === existing.command ? '✓ Current' : '' })),
+            { placeHolder: 'Command to run', matchOnDescription: true }
+        );
+        if (!picked) return undefined;
+        const args = await vscode.window.showInputBox({
+            prompt: 'Arguments as a JSON array (optional)',
+            placeHolder: 'e.g. ["workbench.action.tasks.test"] or [{ "query": "TODO" }]',
+            value: existing.args ? JSON.stringify(existing.args) : '',
+            validateInput: value => {
+                if (!value.trim()) return undefined;
+                try {
+                    return Array.isArray(JSON.parse(value)) ? undefined : 'Enter a JSON array, e.g. ["value"]';
+                } catch (e) {
+                    return `Invalid JSON: ${e.message}`;
+                }
+            }
+        });
+        if (args === undefined) return undefined;
+        fields.command = picked.label;
+        fields.args = args.trim() ? JSON.parse(args) : undefined;
+        suggestedLabel = picked.label;
+    } else if (type === 'task') {
+        const tasks = await vscode.tasks.fetchTasks();
+        let taskName;
+        if (tasks.length > 0) {
+            const picked = await vscode.window.showQuickPick(
+                tasks.map(task => ({
+                    label: task.name,
+                    description: [task.source, task.name === existing.task ? '✓ Current' : ''].filter(Boolean).join(' · ')
+                })),
+                { placeHolder: 'Task to run', matchOnDescription: true }
+            );
+            taskName = picked?.label;
+        } else {
+            taskName = await vscode.window.showInputBox({
+                prompt: 'No tasks found in this workspace - enter the name of the task to run',
+                value: existing.task,
+                validateInput: value => value.trim() ? undefined : 'Enter a task name'
+            });
+        }
+        if (!taskName) return undefined;
+        fields.task = taskName.trim();
+        suggestedLabel = fields.task;
+    } else {
+        const url = await vscode.window.showInputBox({
+            prompt: 'URL to open',
+            placeHolder: 'https://staging.example.com/dashboard',
+            value: existing.url,
+            validateInput: value => /^[a-z][a-z0-9+.-]*:\S+$/i.test(value.trim()) ? undefined : 'Enter a URL, e.g. https://example.com'
+        });
+        if (url === undefined) return undefined;
+        fields.url = url.trim();
+        suggestedLabel = vscode.Uri.parse(fields.url).authority || fields.url;
+    }
+
+    const label = await vscode.window.showInputBox({
+        prompt: `Label shown in the panel - leave empty to use ${suggestedLabel}`,
+        value: existing.label || suggestedLabel
+    });
+    if (label === undefined) return undefined;
+    return { label: label.trim() || suggestedLabel, ...fields };
 }
 
 /**
- * Setup watchers for all favorited paths
+ * Ask before importing command and task favorites - a command's stored arguments can do anything (e.g. type
+ * into the terminal), and with an alias or icon it can pass for a file
+ * @param {{items: object[], globalItems?: object[]}} imported - parseFavoritesFile() result
+ * @param {string} sourceName
+ * @returns {Promise<object|undefined>} - What to import (without them if so chosen), undefined if cancelled
+ */
+async function confirmImportedActions(imported, sourceName) {
+    const runs = item => item.type === 'command' || item.type === 'task';
+    const runnable = [...imported.items, ...(imported.globalItems || [])].filter(runs);
+    if (runnable.length === 0) return imported;
+
+    const shown = runnable.slice(0, IMPORT_ACTIONS_LISTED)
+        .map(item => `${item.alias || item.label}: ${getActionTarget(item)}`);
+    if (runnable.length > shown.length) {
+        shown.push(`…and ${runnable.length - shown.length} more`);
+    }
+    const choice = await vscode.window.showWarningMessage(
+        `${sourceName} contains ${runnable.length} command and task favorites, which run when clicked. Only import them if you trust the file.`,
+        { modal: true, detail: shown.join('\n') },
+        'Import All',
+        'Skip Commands and Tasks'
+    );
+    if (!choice) return undefined;
+    if (choice === 'Import All') return imported;
+    return {
+        ...imported,
+        items: imported.items.filter(item => !runs(item)),
+        globalItems: imported.globalItems?.filter(item => !runs(item))
+    };
+}
+
+/**
+ * Add an action favorite - in the folder or section it was started from
+ * @param {YasinFavoritesProvider} provider
+ * @param {'command' | 'task' | 'link'} type
+ * @param {vscode.TreeItem|undefined} parent - Category or Global section the command was invoked on
+ */
+async function addActionFavorite(provider, type, parent) {
+    const fields = await askActionFields(type);
+    if (!fields) return;
+    const categoryName = parent instanceof Category ? parent.name : undefined;
+    const scope = parent instanceof Category || parent instanceof GlobalSection ? parent.scope : SCOPE_WORKSPACE;
+    provider.addAction(createAction(type, fields), categoryName, scope);
+    saveConfig(provider);
+    saveCategories(provider);
+}
+
+/**
+ * Ask for a favorite's icon - a codicon from the list, another codicon id or an emoji
+ * @param {object} item - Stored favorite
+ * @returns {Promise<string|undefined>} - '' to reset, undefined if cancelled
+ */
+async function askFavoriteIcon(item) {
+    const picks = [
+        { label: '$(discard) Default Icon', icon: '' },
+        { label: '$(edit) Other Codicon or Emoji...', other: true },
+        { label: '', kind: vscode.QuickPickItemKind.Separator },
+        ...FAVORITE_ICONS.map(icon => ({ label: `$(${icon}) ${icon}`, icon, description: icon === item.icon ? '✓ Current' : '' }))
+    ];
+    const selected = await vscode.window.showQuickPick(picks, { placeHolder: `Icon for ${getFavoriteName(item)}` });
+    if (!selected || !selected.other) return selected?.icon;
+
+    const value = await vscode.window.showInputBox({
+        prompt: 'Codicon id (e.g. "github" or "$(github)") or an emoji',
+        value: item.icon || '',
+        validateInput: input => /\s/.test(input.trim()) ? 'Enter a single codicon id or emoji' : undefined
+    });
+    return value === undefined ? undefined : value.trim().replace(/^\$\((.*)\)$/, '$1');
+}
+
+/**
+ * Add an Explorer URI or panel Resource to favorites in the given scope
+ */
+async function addToFavorites(provider, context, uriOrResource, scope) {
+    let itemPath;
+    // Handle Explorer URI (any scheme)
+    if (uriOrResource instanceof vscode.Uri) {
+        itemPath = toItemPath(uriOrResource);
+    }
+    // Handle Resource item from Yasin Favorites panel (value)
+    else if (uriOrResource?.value) {
+        itemPath = uriOrResource.value;
+    }
+
+    if (itemPath) {
+        // If stat fails, assume file
+        const type = isDirectory(await statItem(itemPath)) ? 'folder' : 'file';
+        if (provider.addFavorite(itemPath, type, scope)) {
+            saveConfig(provider);
+            setupWatchers(provider, context);
+        }
+    }
+}
+
+/**
+ * Create the file watcher for a favorite - it reports the favorite itself appearing or disappearing
+ * and, for folders, any change inside it
+ * @param {{path: string, type: string}} item
+ * @returns {vscode.Disposable}
+ */
+function createWatcher(provider, item) {
+    const patterns = [new vscode.RelativePattern(toUri(getDirname(item.path)), getBasename(item.path))];
+    if (item.type === 'folder') {
+        patterns.push(new vscode.RelativePattern(toUri(item.path), '**/*'));
+    }
+    const watchers = patterns.map(pattern => {
+        const watcher = vscode.workspace.createFileSystemWatcher(pattern);
+        watcher.onDidCreate(uri => provider.queueFileChange(uri, 'create'));
+        watcher.onDidDelete(uri => provider.queueFileChange(uri, 'delete'));
+        watcher.onDidChange(uri => provider.queueFileChange(uri, 'change'));
+        return watcher;
+    });
+    return vscode.Disposable.from(...watchers);
+}
+
+/**
+ * Sync the file watchers with the favorites - adds watchers for new favorites and disposes
+ * the ones of removed favorites, keeping the others (bookmarks follow their documents instead)
  */
 function setupWatchers(provider, context) {
-    fileWatchers.forEach(w => w.dispose());
-    fileWatchers = [];
-    provider.getItems().forEach(item => {
-        if (item.type === 'folder' && fs.existsSync(item.path)) {
-            fileWatchers.push(createWatcher(provider, item.path, context));
+    const watched = new Map(provider.getItems()
+        .filter(item => item.type !== 'bookmark' && !isActionItem(item))
+        .map(item => [item.path, item]));
+
+    fileWatchers.forEach((watcher, watchedPath) => {
+        if (!watched.has(watchedPath)) {
+            watcher.dispose();
+            fileWatchers.delete(watchedPath);
+        }
+    });
+    // Missing favorites are watched too - the watcher picks them up if they reappear
+    watched.forEach((item, itemPath) => {
+        if (!fileWatchers.has(itemPath)) {
+            fileWatchers.set(itemPath, createWatcher(provider, item));
         }
     });
+
+    // Smart categories watch their include glob in every workspace folder
+    const includes = new Set(provider.getSmartCategories().map(rule => rule.include));
+    smartCategoryWatchers.forEach((watcher, include) => {
+        if (!includes.has(include)) {
+            watcher.dispose();
+            smartCategoryWatchers.delete(include);
+        }
+    });
+    includes.forEach(include => {
+        if (smartCategoryWatchers.has(include)) return;
+        const watcher = vscode.workspace.createFileSystemWatcher(include);
+        watcher.onDidCreate(uri => provider.queueFileChange(uri, 'create'));
+        watcher.onDidDelete(uri => provider.queueFileChange(uri, 'delete'));
+        watcher.onDidChange(uri => provider.queueFileChange(uri, 'change'));
+        smartCategoryWatchers.set(include, watcher);
+    });
+}
+
+/**
+ * Count an open for the Recent and Frequent sections when an editor becomes active - only files in the
+ * workspace or in favorite folders, and only when the active file changes
+ * @param {YasinFavoritesProvider} provider
+ * @param {UsageHistory} usageHistory
+ * @param {vscode.TextEditor|undefined} editor
+ */
+function recordEditorOpen(provider, usageHistory, editor) {
+    // Focus moving to a panel or an output view also leaves no active text editor
+    if (!editor || editor.document.isUntitled) return;
+    const uri = editor.document.uri;
+    const itemPath = toItemPath(uri);
+    if (itemPath === lastActivePath) return;
+    lastActivePath = itemPath;
+
+    const inFavoriteFolder = provider.getItems()
+        .some(item => item.type === 'folder' && isSameOrInside(itemPath, item.path));
+    if (vscode.workspace.getWorkspaceFolder(uri) || inFavoriteFolder) {
+        usageHistory.recordOpen(itemPath);
+    }
 }
 
 function activate(context) {
     const provider = new YasinFavoritesProvider();
+    const journal = new FileOperationJournal(provider);
+    const usageHistory = new UsageHistory(context.workspaceState);
     const treeView = vscode.window.createTreeView('yasinFavorites', {
         treeDataProvider: provider,
         showCollapseAll: true,
@@ -106,92 +912,328 @@ function activate(context) {
     context.subscriptions.push(
         // Add to favorites (from Explorer context menu OR from Resource inside favorites panel)
         vscode.commands.registerCommand('yasinFavorites.addToFavorites', (uriOrResource) => {
-            let itemPath;
-            // Handle Explorer URI (fsPath)
-            if (uriOrResource?.fsPath) {
-                itemPath = uriOrResource.fsPath;
+            addToFavorites(provider, context, uriOrResource, SCOPE_WORKSPACE);
+        }),
+
+        // Add to global favorites (shown in every window)
+        vscode.commands.registerCommand('yasinFavorites.addToGlobalFavorites', (uriOrResource) => {
+            addToFavorites(provider, context, uriOrResource, SCOPE_GLOBAL);
+        }),
+
+        // Bookmark the current line/selection of the active editor
+        vscode.commands.registerCommand('yasinFavorites.addBookmark', () => {
+            const editor = vscode.window.activeTextEditor;
+            if (!editor || editor.document.isUntitled) return;
+            const bookmark = createBookmark(toItemPath(editor.document.uri), editor.document, editor.selection);
+            if (provider.addBookmark(bookmark)) {
+                saveConfig(provider);
+                vscode.window.setStatusBarMessage(`✅ Bookmarked line ${bookmark.range.startLine + 1}`, 2000);
+            }
+        }),
+
+        // Move favorites between workspace and global scope
+        vscode.commands.registerCommand('yasinFavorites.moveToGlobal', (resource, selectedItems) => {
+            const items = selectedItems?.length > 0 ? selectedItems : (resource ? [resource] : treeView.selection);
+            items.filter(r => r?.itemKey).forEach(r => provider.moveToScope(r.itemKey, SCOPE_GLOBAL));
+            saveConfig(provider);
+            saveCategories(provider);
+        }),
+
+        vscode.commands.registerCommand('yasinFavorites.moveToWorkspace', (resource, selectedItems) => {
+            const items = selectedItems?.length > 0 ? selectedItems : (resource ? [resource] : treeView.selection);
+            items.filter(r => r?.itemKey).forEach(r => provider.moveToScope(r.itemKey, SCOPE_WORKSPACE));
+            saveConfig(provider);
+            saveCategories(provider);
+        }),
+
+        // Command, task and link favorites
+        vscode.commands.registerCommand('yasinFavorites.runAction', async (resource) => {
+            const item = provider.getItems().find(item => getItemKey(item) === resource?.itemKey);
+            if (!item || !isActionItem(item)) return;
+            try {
+                await runAction(item);
+            } catch (err) {
+                vscode.window.showErrorMessage(`Failed to run ${item.label}: ${err.message}`);
             }
-            // Handle Resource item from Yasin Favorites panel (value)
-            else if (uriOrResource?.value) {
-                itemPath = uriOrResource.value;
+        }),
+
+        vscode.commands.registerCommand('yasinFavorites.newCommandFavorite', (parent) => addActionFavorite(provider, 'command', parent)),
+        vscode.commands.registerCommand('yasinFavorites.newTaskFavorite', (parent) => addActionFavorite(provider, 'task', parent)),
+        vscode.commands.registerCommand('yasinFavorites.newLinkFavorite', (parent) => addActionFavorite(provider, 'link', parent)),
+
+        vscode.commands.registerCommand('yasinFavorites.editAction', async (resource) => {
+            const item = getFavoriteItem(provider, treeView, resource);
+            if (!item || !isActionItem(item)) return;
+            const fields = await askActionFields(item.type, item);
+            if (fields && provider.customizeItem(getItemKey(item), fields)) {
+                saveConfig(provider);
             }
+        }),
 
-            if (itemPath) {
-                let type = 'file';
-                try {
-                    if (fs.statSync(itemPath).isDirectory()) {
-                        type = 'folder';
-                    }
-                } catch (e) {
-                    // If stat fails, assume file
-                }
-                if (provider.addFavorite(itemPath, type)) {
-                    saveConfig(provider);
-                    setupWatchers(provider, context);
-                }
+        // Alias, description and icon shown in the panel
+        vscode.commands.registerCommand('yasinFavorites.setAlias', async (resource) => {
+            const item = getFavoriteItem(provider, treeView, resource);
+            // Actions have no file name to fall back to - their label is changed with Edit Action
+            if (!item || isActionItem(item)) return;
+            const alias = await vscode.window.showInputBox({
+                prompt: `Label for ${getBasename(item.path)} - leave empty to show the file name`,
+                value: item.alias || ''
+            });
+            if (alias !== undefined && provider.customizeItem(getItemKey(item), { alias: alias.trim() })) {
+                saveConfig(provider);
+            }
+        }),
+
+        vscode.commands.registerCommand('yasinFavorites.setDescription', async (resource) => {
+            const item = getFavoriteItem(provider, treeView, resource);
+            if (!item) return;
+            const description = await vscode.window.showInputBox({
+                prompt: `Description for ${getFavoriteName(item)} - leave empty for none`,
+                value: item.description || ''
+            });
+            if (description !== undefined && provider.customizeItem(getItemKey(item), { description: description.trim() })) {
+                saveConfig(provider);
+            }
+        }),
+
+        vscode.commands.registerCommand('yasinFavorites.setIcon', async (resource) => {
+            const item = getFavoriteItem(provider, treeView, resource);
+            if (!item) return;
+            const icon = await askFavoriteIcon(item);
+            if (icon !== undefined && provider.customizeItem(getItemKey(item), { icon })) {
+                saveConfig(provider);
             }
         }),
 
         // Remove from favorites
         vscode.commands.registerCommand('yasinFavorites.remove', (resource) => {
-            const itemPath = resource?.value || resource?.itemPath;
-            if (itemPath) {
-                provider.removeFavorite(itemPath);
+            const itemKey = resource?.itemKey || resource?.value;
+            if (itemKey) {
+                provider.removeFavorite(itemKey);
                 saveConfig(provider);
                 setupWatchers(provider, context);
             }
         }),
 
+        // Find a missing favorite in the workspace (or browse for it) and point it there
+        vscode.commands.registerCommand('yasinFavorites.locate', async (resource) => {
+            const item = provider.getItems().find(item => getItemKey(item) === resource?.itemKey);
+            if (!item) return;
+
+            const name = getBasename(item.path);
+            const search = findCandidates(item);
+            vscode.window.setStatusBarMessage(`$(sync~spin) Searching for ${name}...`, search);
+            const candidates = await search;
+
+            const picks = candidates.map(candidate => ({
+                label: getBasename(candidate.path),
+                description: vscode.workspace.asRelativePath(toUri(getDirname(candidate.path))),
+                detail: candidate.reason,
+                path: candidate.path
+            }));
+            picks.push({ label: '$(folder-opened) Browse...', browse: true });
+            const pick = await vscode.window.showQuickPick(picks, {
+                placeHolder: candidates.length > 0
+                    ? `Where is ${name} now?`
+                    : `No ${item.type === 'folder' ? 'folder' : 'file'} named ${name} found in the workspace`,
+                matchOnDescription: true
+            });
+            if (!pick) return;
+
+            let newPath = pick.path;
+            if (pick.browse) {
+                const uris = await vscode.window.showOpenDialog({
+                    canSelectFiles: item.type !== 'folder',
+                    canSelectFolders: item.type === 'folder',
+                    canSelectMany: false,
+                    openLabel: 'Locate'
+                });
+                if (!uris || uris.length === 0) return;
+                newPath = toItemPath(uris[0]);
+            }
+
+            if (provider.renamePath(item.path, newPath)) {
+                saveConfig(provider);
+                setupWatchers(provider, context);
+                vscode.window.setStatusBarMessage(`✅ ${name} located`, 2000);
+            }
+        }),
+
+        // Undo/redo file operations done in the panel
+        vscode.commands.registerCommand('yasinFavorites.undo', () => {
+            runJournal(provider, context, () => journal.undo(), 'Undo', 'Nothing to undo');
+        }),
+
+        vscode.commands.registerCommand('yasinFavorites.redo', () => {
+            runJournal(provider, context, () => journal.redo(), 'Redo', 'Nothing to redo');
+        }),
+
+        journal.onDidChange(() => updateJournalContext(journal)),
+
+        // The tree moved files (drag and drop) - make it undoable
+        provider.onDidPerformFileOperation(({ label, steps }) => journal.record(label, steps)),
+
         // Refresh
         vscode.commands.registerCommand('yasinFavorites.refresh', () => {
+            provider.clearCache();
             provider.refresh();
         }),
 
-        // Sort command - cycles through ASC, DESC, MANUAL
+        // List the next page of a large folder
+        vscode.commands.registerCommand('yasinFavorites.showMore', (showMoreItem) => {
+            if (showMoreItem) {
+                provider.showMore(showMoreItem);
+            }
+        }),
+
+        // Sort command - quick pick of the default sort order, folder placement and grouping by extension
         vscode.commands.registerCommand('yasinFavorites.sort', async () => {
             const config = vscode.workspace.getConfiguration('yasinFavorites');
             const current = config.get('sortOrder') || 'MANUAL';
+            const foldersPosition = config.get('foldersPosition') || 'last';
+            const groupByExtension = !!config.get('groupByExtension');
 
             const options = [
-                { label: 'A → Z (Ascending)', value: 'ASC', description: current === 'ASC' ? '✓ Current' : '' },
-                { label: 'Z → A (Descending)', value: 'DESC', description: current === 'DESC' ? '✓ Current' : '' },
-                { label: 'Latest Modified', value: 'MODIFIED', description: current === 'MODIFIED' ? '✓ Current' : '' },
-                { label: 'Manual (Drag Order)', value: 'MANUAL', description: current === 'MANUAL' ? '✓ Current' : '' }
+                ...getSortOrderPicks(current),
+                { label: 'Folder Contents', kind: vscode.QuickPickItemKind.Separator },
+                ...FOLDERS_POSITIONS.map(({ value, label }) => ({
+                    label,
+                    foldersPosition: value,
+                    description: foldersPosition === value ? '✓ Current' : ''
+                })),
+                {
+                    label: 'Group Files by Extension',
+                    groupByExtension: !groupByExtension,
+                    description: groupByExtension ? '✓ On - select to turn off' : ''
+                }
             ];
 
             const selected = await vscode.window.showQuickPick(options, {
                 placeHolder: `Current: ${current} - Select sort order`
             });
 
-            if (selected) {
+            if (!selected) return;
+            if (selected.foldersPosition) {
+                await config.update('foldersPosition', selected.foldersPosition, vscode.ConfigurationTarget.Workspace);
+                provider.setFoldersPosition(selected.foldersPosition);
+            } else if (selected.groupByExtension !== undefined) {
+                await config.update('groupByExtension', selected.groupByExtension, vscode.ConfigurationTarget.Workspace);
+                provider.setGroupByExtension(selected.groupByExtension);
+            } else {
                 await config.update('sortOrder', selected.value, vscode.ConfigurationTarget.Workspace);
                 provider.setSortOrder(selected.value);
                 vscode.window.showInformationMessage(`Sort: ${selected.label}`);
             }
         }),
 
+        // Own sort order for a favorites folder or a favorite folder's contents
+        vscode.commands.registerCommand('yasinFavorites.sortBy', async (resource) => {
+            const node = resource || treeView.selection[0];
+            if (node instanceof Category) {
+                const own = provider.getCategorySortOrders(node.scope)[node.name];
+                const inherited = provider.getLevelSortOrder(getParentCategory(node.name), node.scope);
+                const selected = await askSortOrder(own, `Sort "${getCategoryName(node.name)}" by`, inherited);
+                if (selected) {
+                    provider.setCategorySortOrder(node.name, node.scope, selected.value);
+                    saveCategories(provider);
+                }
+            } else if (node?.type === 'folder' && node.itemKey) {
+                const item = getFavoriteItem(provider, treeView, node);
+                if (!item) return;
+                const selected = await askSortOrder(item.sortOrder, `Sort the contents of "${getBasename(item.path)}" by`, provider.sortOrder);
+                if (selected && provider.customizeItem(getItemKey(item), { sortOrder: selected.value })) {
+                    saveConfig(provider);
+                }
+            }
+        }),
+
+        // Recent / Frequent history (Add to Yasin Favorites promotes an entry)
+        vscode.commands.registerCommand('yasinFavorites.removeFromUsageHistory', (resource, selectedItems) => {
+            const items = selectedItems?.length > 0 ? selectedItems : (resource ? [resource] : treeView.selection);
+            items.filter(r => r?.contextValue === 'usageItem').forEach(r => usageHistory.remove(r.value));
+        }),
+
+        vscode.commands.registerCommand('yasinFavorites.clearUsageHistory', async () => {
+            const confirm = await vscode.window.showWarningMessage(
+                'Clear the Recent and Frequent history of this workspace?',
+                { modal: true },
+                'Clear'
+            );
+            if (confirm === 'Clear') {
+                usageHistory.clear();
+            }
+        }),
+
         // Favorites Folder operations
-        vscode.commands.registerCommand('yasinFavorites.newCategory', async () => {
+        vscode.commands.registerCommand('yasinFavorites.newCategory', async (parent) => {
+            // Invoked on a Category node - create a sub-folder inside it (Global section - a global folder)
+            const parentName = parent instanceof Category ? parent.name : undefined;
+            const scope = parent instanceof Category || parent instanceof GlobalSection ? parent.scope : SCOPE_WORKSPACE;
             const name = await vscode.window.showInputBox({
-                prompt: 'Enter favorites folder name',
+                prompt: parentName
+                    ? `Enter sub-folder name for "${parentName}" (use / to nest further)`
+                    : 'Enter favorites folder name (use / to nest, e.g. Backend/Payments)',
                 placeHolder: 'My Folder'
             });
-            if (name) {
+            const categoryPath = name && joinCategory(parentName, name);
+            if (categoryPath) {
                 // Add folder to the list (even if empty)
-                provider.addCategory(name);
+                provider.addCategory(categoryPath, scope);
+                saveCategories(provider);
+                vscode.window.showInformationMessage(`Favorites folder "${categoryPath}" created`);
+            }
+        }),
+
+        // Smart folders - saved queries listing matching workspace files
+        vscode.commands.registerCommand('yasinFavorites.newSmartCategory', async () => {
+            const rule = await askSmartCategoryRule(provider);
+            if (rule && provider.saveSmartCategory(rule)) {
                 saveCategories(provider);
-                vscode.window.showInformationMessage(`Favorites folder "${name}" created`);
+                setupWatchers(provider, context);
+            }
+        }),
+
+        vscode.commands.registerCommand('yasinFavorites.editSmartCategory', async (node) => {
+            const name = node?.name || (await vscode.window.showQuickPick(
+                provider.getSmartCategories().map(rule => rule.name),
+                { placeHolder: 'Select a smart folder to edit' }
+            ));
+            const existing = name && provider.getSmartCategory(name);
+            if (!existing) return;
+            const rule = await askSmartCategoryRule(provider, existing);
+            if (rule && provider.saveSmartCategory(rule, existing.name)) {
+                saveCategories(provider);
+                setupWatchers(provider, context);
+            }
+        }),
+
+        vscode.commands.registerCommand('yasinFavorites.deleteSmartCategory', async (node) => {
+            if (!node?.name) return;
+            const confirm = await vscode.window.showWarningMessage(
+                `Delete smart folder "${node.name}"? The files stay where they are.`,
+                { modal: true },
+                'Delete'
+            );
+            if (confirm === 'Delete') {
+                provider.deleteSmartCategory(node.name);
+                saveCategories(provider);
+                setupWatchers(provider, context);
             }
         }),
 
         vscode.commands.registerCommand('yasinFavorites.renameCategory', async (category) => {
             if (category?.name) {
+                const oldName = getCategoryName(category.name);
                 const newName = await vscode.window.showInputBox({
                     prompt: 'Enter new folder name',
-                    value: category.name
+                    value: oldName,
+                    validateInput: value => value.includes(CATEGORY_SEPARATOR)
+                        ? `Folder name cannot contain "${CATEGORY_SEPARATOR}"`
+                        : null
                 });
-                if (newName && newName !== category.name) {
-                    provider.renameCategory(category.name, newName);
+                if (newName && newName.trim() && newName !== oldName) {
+                    const parentName = getParentCategory(category.name);
+                    provider.renameCategory(category.name, joinCategory(parentName, newName), category.scope);
                     saveConfig(provider);
                     saveCategories(provider);
                 }
@@ -200,13 +1242,14 @@ function activate(context) {
 
         vscode.commands.registerCommand('yasinFavorites.deleteCategory', async (category) => {
             if (category?.name) {
+                const parentName = getParentCategory(category.name);
                 const confirm = await vscode.window.showWarningMessage(
-                    `Delete folder "${category.name}"? Items will move to root.`,
+                    `Delete folder "${category.name}" and its sub-folders? Items will move to ${parentName ? `"${parentName}"` : 'root'}.`,
                     { modal: true },
                     'Delete'
                 );
                 if (confirm) {
-                    provider.deleteCategory(category.name);
+                    provider.deleteCategory(category.name, category.scope);
                     saveConfig(provider);
                     saveCategories(provider);
                 }
@@ -214,36 +1257,56 @@ function activate(context) {
         }),
 
         vscode.commands.registerCommand('yasinFavorites.moveToCategory', async (resource) => {
-            const itemPath = resource?.value || resource?.itemPath;
-            if (itemPath) {
-                const categories = provider.getCategoryList();
+            const itemKey = resource?.itemKey || resource?.value;
+            // Category nodes move with their whole subtree
+            const movingCategory = resource instanceof Category ? resource.name : undefined;
+            const scope = resource?.scope || SCOPE_WORKSPACE;
+            if (itemKey || movingCategory) {
+                // A category can't move into itself or one of its descendants
+                const categories = provider.getAllCategories(scope).filter(categoryPath =>
+                    !movingCategory || !isInCategory(categoryPath, movingCategory)
+                );
                 const items = [...categories, '+ Create New Folder'];
 
-                const selected = await vscode.window.showQuickPick(items, {
+                let selected = await vscode.window.showQuickPick(items, {
                     placeHolder: 'Select or create a favorites folder'
                 });
 
                 if (selected === '+ Create New Folder') {
                     const newName = await vscode.window.showInputBox({
-                        prompt: 'Enter new folder name'
+                        prompt: 'Enter new folder name (use / to nest, e.g. Backend/Payments)'
                     });
-                    if (newName) {
-                        provider.addCategory(newName);
-                        provider.moveToCategory(itemPath, newName);
-                        saveConfig(provider);
-                        saveCategories(provider);
+                    selected = newName && normalizeCategoryPath(newName);
+                    if (!selected) return;
+                    provider.addCategory(selected, scope);
+                }
+
+                if (selected && movingCategory) {
+                    if (!provider.moveCategory(movingCategory, selected, scope)) {
+                        vscode.window.showWarningMessage('Cannot move a folder into itself');
+                        return;
                     }
+                    saveConfig(provider);
+                    saveCategories(provider);
                 } else if (selected) {
-                    provider.moveToCategory(itemPath, selected);
+                    provider.moveToCategory(itemKey, selected);
                     saveConfig(provider);
+                    saveCategories(provider);
                 }
             }
         }),
 
         vscode.commands.registerCommand('yasinFavorites.moveToRoot', (resource) => {
-            const itemPath = resource?.value || resource?.itemPath;
-            if (itemPath) {
-                provider.moveToRoot(itemPath);
+            // Nested category - move its subtree to the top level
+            if (resource instanceof Category) {
+                provider.moveCategory(resource.name, undefined, resource.scope);
+                saveConfig(provider);
+                saveCategories(provider);
+                return;
+            }
+            const itemKey = resource?.itemKey || resource?.value;
+            if (itemKey) {
+                provider.moveToRoot(itemKey);
                 saveConfig(provider);
             }
         }),
@@ -291,17 +1354,12 @@ function activate(context) {
         vscode.commands.registerCommand('yasinFavorites.copyRelativePath', (resource, selectedItems) => {
             // Use selectedItems if multi-select, otherwise single resource, fallback to treeView.selection for hotkey
             const items = selectedItems?.length > 0 ? selectedItems : (resource ? [resource] : treeView.selection);
-            const root = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
 
-            // Extract paths and convert to relative
+            // Extract paths and convert to relative (prefixed with the folder name in multi-root workspaces)
             const paths = items
                 .map(r => r?.value || r?.itemPath)
                 .filter(Boolean)
-                .map(itemPath => {
-                    return root && itemPath.startsWith(root)
-                        ? itemPath.replace(root + '/', '')
-                        : itemPath;
-                });
+                .map(itemPath => vscode.workspace.asRelativePath(itemPath, isMultiRoot()));
 
             if (paths.length === 0) {
                 return; // No valid paths
@@ -326,9 +1384,23 @@ function activate(context) {
             if (targetDir) {
                 const name = await vscode.window.showInputBox({ prompt: 'New file name' });
                 if (name) {
-                    const newPath = path.join(targetDir, name);
-                    fs.writeFileSync(newPath, '');
-                    const doc = await vscode.workspace.openTextDocument(newPath);
+                    const newPath = joinItemPath(targetDir, name);
+                    // writeFile would truncate an existing file (and Undo would then trash it)
+                    if (await statItem(newPath)) {
+                        vscode.window.showErrorMessage(`${name} already exists`);
+                        return;
+                    }
+                    const newUri = toUri(newPath);
+                    try {
+                        // Cancelled in the refactoring preview or vetoed by an extension
+                        if (!(await createFile(newPath))) return;
+                    } catch (err) {
+                        vscode.window.showErrorMessage(`Failed to create ${name}: ${err.message}`);
+                        return;
+                    }
+                    provider.invalidatePath(newUri);
+                    journal.record(`New File ${name}`, [{ type: 'create', path: newPath, isFolder: false }]);
+                    const doc = await vscode.workspace.openTextDocument(newUri);
                     await vscode.window.showTextDocument(doc);
                     provider.refresh();
                 }
@@ -340,7 +1412,14 @@ function activate(context) {
             if (targetDir) {
                 const name = await vscode.window.showInputBox({ prompt: 'New folder name' });
                 if (name) {
-                    fs.mkdirSync(path.join(targetDir, name), { recursive: true });
+                    // createDirectory creates missing parents, like mkdir -p
+                    const newPath = joinItemPath(targetDir, name);
+                    const existed = !!(await statItem(newPath));
+                    await vscode.workspace.fs.createDirectory(toUri(newPath));
+                    provider.invalidatePath(toUri(newPath));
+                    if (!existed) {
+                        journal.record(`New Folder ${name}`, [{ type: 'create', path: newPath, isFolder: true }]);
+                    }
                     provider.refresh();
                 }
             }
@@ -348,20 +1427,27 @@ function activate(context) {
 
         vscode.commands.registerCommand('yasinFavorites.rename', async (resource) => {
             const itemPath = resource?.value || resource?.itemPath;
-            if (itemPath) {
-                const oldName = path.basename(itemPath);
+            // Bookmarks are not files - don't rename the file they point into
+            if (itemPath && resource.type !== 'bookmark') {
+                const oldName = getBasename(itemPath);
                 const newName = await vscode.window.showInputBox({ prompt: 'New name', value: oldName });
                 if (newName && newName !== oldName) {
-                    const newPath = path.join(path.dirname(itemPath), newName);
-                    fs.renameSync(itemPath, newPath);
-
-                    // Update favorite path if this was a favorite
-                    const items = provider.getItems();
-                    const favItem = items.find(f => f.path === itemPath);
-                    if (favItem) {
-                        favItem.path = newPath;
-                        provider.setItems(items);
+                    const newPath = joinItemPath(getDirname(itemPath), newName);
+                    try {
+                        // Like the Explorer, so imports of the file are updated - unless the rename is cancelled
+                        if (!(await moveItem(itemPath, newPath))) return;
+                    } catch (err) {
+                        vscode.window.showErrorMessage(`Failed to rename ${oldName}: ${err.message}`);
+                        return;
+                    }
+                    provider.invalidatePath(toUri(itemPath));
+                    provider.invalidatePath(toUri(newPath));
+                    journal.record(`Rename ${oldName}`, [{ type: 'move', from: itemPath, to: newPath }]);
+
+                    // Favorites at or below the renamed path follow it (bookmarks in the file too)
+                    if (provider.renamePath(itemPath, newPath)) {
                         saveConfig(provider);
+                        setupWatchers(provider, context);
                     } else {
                         provider.refresh();
                     }
@@ -372,22 +1458,36 @@ function activate(context) {
         vscode.commands.registerCommand('yasinFavorites.delete', async (resource) => {
             // Handle multi-select: use treeView.selection if available
             const items = resource ? [resource] : treeView.selection;
-            const validItems = items.filter(r => r?.value || r?.itemPath);
+            const validItems = items.filter(r => (r?.value || r?.itemPath) && r.type !== 'bookmark');
             if (validItems.length > 0) {
-                const names = validItems.map(r => path.basename(r.value || r.itemPath)).join(', ');
+                const names = validItems.map(r => getBasename(r.value || r.itemPath)).join(', ');
+                // Only the local file system has a trash - remote/virtual items are deleted permanently
+                const useTrash = validItems.every(r => toUri(r.value || r.itemPath).scheme === 'file');
                 const confirm = await vscode.window.showWarningMessage(
-                    `Move ${validItems.length} item(s) to Trash?\n${names}`,
-                    { modal: true }, 'Move to Trash'
+                    useTrash
+                        ? `Move ${validItems.length} item(s) to Trash?\n${names}`
+                        : `Permanently delete ${validItems.length} item(s)?\n${names}`,
+                    { modal: true }, useTrash ? 'Move to Trash' : 'Delete'
                 );
                 if (confirm) {
+                    const steps = [];
                     for (const item of validItems) {
                         const itemPath = item.value || item.itemPath;
-                        await vscode.workspace.fs.delete(vscode.Uri.file(itemPath), { useTrash: true, recursive: true });
-
-                        // Remove from favorites if it was a favorite
+                        const isFolder = isDirectory(await statItem(itemPath));
+                        await vscode.workspace.fs.delete(toUri(itemPath), { useTrash, recursive: true });
+                        provider.invalidatePath(toUri(itemPath));
+
+                        // Remove from favorites if it was a favorite (Undo puts it back at the same position)
+                        const favorites = provider.getItems()
+                            .map((favorite, index) => ({ item: favorite, index }))
+                            .filter(({ item: favorite }) => getItemKey(favorite) === itemPath);
                         provider.removeFavorite(itemPath);
+                        steps.push({ type: 'delete', path: itemPath, isFolder, trashed: useTrash, deletedAt: Date.now(), favorites });
                     }
+                    const label = steps.length === 1 ? `Delete ${getBasename(steps[0].path)}` : `Delete ${steps.length} items`;
+                    journal.record(label, steps);
                     saveConfig(provider);
+                    setupWatchers(provider, context);
                     provider.refresh();
                 }
             }
@@ -399,10 +1499,10 @@ function activate(context) {
             const items = resource ? [resource] : treeView.selection;
             if (items.length > 0) {
                 clipboardPaths = items
-                    .filter(r => r?.value || r?.itemPath)
+                    .filter(r => (r?.value || r?.itemPath) && r.type !== 'bookmark')
                     .map(r => r.value || r.itemPath);
                 clipboardOperation = 'cut';
-                const names = clipboardPaths.map(p => path.basename(p)).join(', ');
+                const names = clipboardPaths.map(p => getBasename(p)).join(', ');
                 vscode.window.showInformationMessage('Cut: ' + names);
             }
         }),
@@ -412,10 +1512,10 @@ function activate(context) {
             const items = resource ? [resource] : treeView.selection;
             if (items.length > 0) {
                 clipboardPaths = items
-                    .filter(r => r?.value || r?.itemPath)
+                    .filter(r => (r?.value || r?.itemPath) && r.type !== 'bookmark')
                     .map(r => r.value || r.itemPath);
                 clipboardOperation = 'copy';
-                const names = clipboardPaths.map(p => path.basename(p)).join(', ');
+                const names = clipboardPaths.map(p => getBasename(p)).join(', ');
                 vscode.window.showInformationMessage('Copied: ' + names);
             }
         }),
@@ -424,7 +1524,7 @@ function activate(context) {
         vscode.commands.registerCommand('yasinFavorites.createTemplatedFolder', (resource) => {
             const targetDir = resource?.value || resource?.itemPath;
             if (targetDir) {
-                vscode.commands.executeCommand('FT.createFolderStructure', vscode.Uri.file(targetDir));
+                vscode.commands.executeCommand('FT.createFolderStructure', toUri(targetDir));
             }
         }),
 
@@ -450,7 +1550,7 @@ function activate(context) {
         vscode.commands.registerCommand('yasinFavorites.addToFocusFolder', (resource) => {
             const itemPath = resource?.value || resource?.itemPath;
             if (itemPath) {
-                vscode.commands.executeCommand('focusFolder.focusOnFolder', { fsPath: itemPath });
+                vscode.commands.executeCommand('focusFolder.focusOnFolder', toUri(itemPath));
             }
         }),
 
@@ -463,66 +1563,380 @@ function activate(context) {
                 const selectedPath = selected?.value || selected?.itemPath;
                 if (selectedPath) {
                     // If selected is a file, paste into its parent folder
-                    try {
-                        const stat = fs.statSync(selectedPath);
-                        targetDir = stat.isDirectory() ? selectedPath : path.dirname(selectedPath);
-                    } catch (e) {
-                        targetDir = selectedPath;
-                    }
+                    const stat = await statItem(selectedPath);
+                    targetDir = !stat || isDirectory(stat) ? selectedPath : getDirname(selectedPath);
                 }
             }
 
             if (targetDir && clipboardPaths.length > 0) {
-                for (const sourcePath of clipboardPaths) {
-                    if (!fs.existsSync(sourcePath)) continue;
-                    const destPath = path.join(targetDir, path.basename(sourcePath));
-                    if (clipboardOperation === 'cut') {
-                        fs.renameSync(sourcePath, destPath);
-
-                        // Update favorite path if this was a favorite
-                        const items = provider.getItems();
-                        const favItem = items.find(f => f.path === sourcePath);
-                        if (favItem) {
-                            favItem.path = destPath;
-                            provider.setItems(items);
-                        }
-                    } else {
-                        await vscode.workspace.fs.copy(
-                            vscode.Uri.file(sourcePath),
-                            vscode.Uri.file(destPath),
-                            { overwrite: false }
-                        );
-                    }
-                }
+                // Conflicts ask Replace / Skip / Keep Both; favorites follow moved items
+                const isCut = clipboardOperation === 'cut';
+                const { steps } = await transferItems(provider, clipboardPaths, targetDir, isCut);
+                const transfers = steps.filter(step => step.type !== 'delete');
+                const verb = isCut ? 'Move' : 'Copy';
+                journal.record(
+                    transfers.length === 1 ? `${verb} ${getBasename(transfers[0].from)}` : `${verb} ${transfers.length} items`,
+                    steps
+                );
                 if (clipboardOperation === 'cut') {
                     clipboardPaths = [];
                     clipboardOperation = null;
                     saveConfig(provider);
+                    setupWatchers(provider, context);
                 }
                 provider.refresh();
             }
         }),
 
+        // Export and import favorites
+        vscode.commands.registerCommand('yasinFavorites.export', async () => {
+            const all = provider.getItems();
+            if (all.length === 0) {
+                vscode.window.showInformationMessage('No favorites to export');
+                return;
+            }
+
+            const format = await vscode.window.showQuickPick([
+                { label: 'JSON', description: 'Relative paths and favorites folders - for Import Favorites', extension: 'json' },
+                { label: 'Markdown', description: 'List with clickable links', extension: 'md' }
+            ], { placeHolder: 'Export favorites as' });
+            if (!format) return;
+
+            const folder = vscode.workspace.workspaceFolders?.[0]?.uri;
+            const target = await vscode.window.showSaveDialog({
+                defaultUri: folder && vscode.Uri.joinPath(folder, `favorites.${format.extension}`),
+                filters: { [format.label]: [format.extension] }
+            });
+            if (!target) return;
+
+            let content;
+            if (format.extension === 'json') {
+                content = toExportJson({
+                    ...getStoredItems(provider),
+                    categories: provider.getAllCategories(SCOPE_WORKSPACE),
+                    globalCategories: provider.getAllCategories(SCOPE_GLOBAL)
+                });
+            } else {
+                content = toMarkdown([
+                    { title: 'Workspace Favorites', scope: SCOPE_WORKSPACE },
+                    { title: 'Global Favorites', scope: SCOPE_GLOBAL }
+                ].map(({ title, scope }) => ({
+                    title,
+                    items: all.filter(item => getItemScope(item) === scope),
+                    categories: provider.getAllCategories(scope)
+                })).filter(section => section.items.length > 0 || section.categories.length > 0), target);
+            }
+
+            try {
+                await vscode.workspace.fs.writeFile(target, new TextEncoder().encode(content));
+                vscode.window.showInformationMessage(`Exported ${all.length} favorites to ${getBasename(toItemPath(target))}`);
+            } catch (err) {
+                vscode.window.showErrorMessage(`Failed to export favorites: ${err.message}`);
+            }
+        }),
+
+        vscode.commands.registerCommand('yasinFavorites.import', async () => {
+            const picked = await vscode.window.showOpenDialog({
+                defaultUri: vscode.workspace.workspaceFolders?.[0]?.uri,
+                canSelectMany: false,
+                filters: { JSON: ['json'] },
+                openLabel: 'Import'
+            });
+            if (!picked || picked.length === 0) return;
+            const source = picked[0];
+            const sourceName = getBasename(toItemPath(source));
+
+            let imported;
+            try {
+                imported = parseFavoritesFile(new TextDecoder().decode(await vscode.workspace.fs.readFile(source)));
+            } catch (err) {
+                vscode.window.showErrorMessage(`Failed to read ${sourceName}: ${err.message}`);
+                return;
+            }
+            if (!imported) {
+                vscode.window.showErrorMessage(`Not a recognized favorites file: ${sourceName}`);
+                return;
+            }
+            imported = await confirmImportedActions(imported, sourceName);
+            if (!imported) return;
+
+            let replace = false;
+            if (provider.getItems().length > 0) {
+                const mode = await vscode.window.showQuickPick([
+                    { label: 'Merge', description: 'Add to the current favorites, skipping duplicates', replace: false },
+                    { label: 'Replace', description: 'Replace the current favorites', replace: true }
+                ], { placeHolder: `Import ${imported.format} file ${sourceName}` });
+                if (!mode) return;
+                replace = mode.replace;
+            }
+
+            // Relative paths resolve against the workspace folder of the imported file (e.g. .vscode/bookmarks.json)
+            const sourceFolder = vscode.workspace.getWorkspaceFolder(source)?.name;
+            const resolveItem = async ({ workspaceFolder, ...item }) => {
+                if (isActionItem(item)) return item;
+                const itemPath = toAbsolutePath(item.path, workspaceFolder || sourceFolder);
+                // Other extensions don't record whether a path is a folder
+                const type = item.type || (isDirectory(await statItem(itemPath)) ? 'folder' : 'file');
+                return { ...item, path: itemPath, type };
+            };
+
+            let added = 0;
+            let duplicates = 0;
+            const scopes = [
+                { scope: SCOPE_WORKSPACE, items: imported.items, categories: imported.categories },
+                { scope: SCOPE_GLOBAL, items: imported.globalItems || [], categories: imported.globalCategories || [] }
+            ];
+            for (const { scope, items, categories } of scopes) {
+                if (items.length === 0 && categories.length === 0) continue;
+                const entries = await Promise.all(items.map(resolveItem));
+                if (replace) {
+                    provider.setItems(provider.getItems().filter(item => getItemScope(item) !== scope));
+                    provider.setCategoryList(categories, scope);
+                } else {
+                    categories.forEach(categoryName => provider.addCategory(categoryName, scope));
+                }
+                const skipped = provider.importItems(entries, scope);
+                added += entries.length - skipped;
+                duplicates += skipped;
+            }
+
+            saveConfig(provider);
+            saveCategories(provider);
+            setupWatchers(provider, context);
+            vscode.window.showInformationMessage(duplicates > 0
+                ? `Imported ${added} favorites (${duplicates} already in favorites)`
+                : `Imported ${added} favorites`);
+        }),
+
+        // Favorite sets - switch between named lists of workspace favorites
+        vscode.commands.registerCommand('yasinFavorites.switchSet', async () => {
+            const active = getActiveSetName();
+            const options = getSetNames().map(name => ({
+                label: name,
+                description: name === active ? '✓ Current' : ''
+            }));
+            options.push({ label: '+ New Favorite Set...', isNew: true });
+
+            const selected = await vscode.window.showQuickPick(options, {
+                placeHolder: `Current: ${active} - Select favorite set`
+            });
+            if (!selected) return;
+            if (selected.isNew) {
+                await vscode.commands.executeCommand('yasinFavorites.newSet');
+            } else if (selected.label !== active) {
+                await activateSet(provider, context, treeView, selected.label, getInactiveSets()[selected.label]);
+                vscode.window.showInformationMessage(`Favorite set: ${selected.label}`);
+            }
+        }),
+
+        vscode.commands.registerCommand('yasinFavorites.newSet', async () => {
+            const name = await askSetName('Enter a name for the new (empty) favorite set');
+            if (name) {
+                await activateSet(provider, context, treeView, name, { items: [], categories: [] });
+                vscode.window.showInformationMessage(`Favorite set "${name}" created`);
+            }
+        }),
+
+        vscode.commands.registerCommand('yasinFavorites.duplicateSet', async () => {
+            const active = getActiveSetName();
+            const name = await askSetName(`Enter a name for the copy of "${active}"`, `${active} copy`);
+            if (name) {
+                await activateSet(provider, context, treeView, name, getActiveSet(provider));
+                vscode.window.showInformationMessage(`Favorite set "${active}" duplicated as "${name}"`);
+            }
+        }),
+
+        vscode.commands.registerCommand('yasinFavorites.deleteSet', async () => {
+            const names = getSetNames();
+            if (names.length < 2) {
+                vscode.window.showInformationMessage('Cannot delete the only favorite set');
+                return;
+            }
+            const active = getActiveSetName();
+            const selected = await vscode.window.showQuickPick(names.map(name => ({
+                label: name,
+                description: name === active ? '✓ Current' : ''
+            })), { placeHolder: 'Select favorite set to delete' });
+            if (!selected) return;
+
+            const confirm = await vscode.window.showWarningMessage(
+                `Delete favorite set "${selected.label}" and its favorites?`,
+                { modal: true },
+                'Delete'
+            );
+            if (confirm !== 'Delete') return;
+
+            const sets = getInactiveSets();
+            if (selected.label === active) {
+                // Switch to another set first, dropping the active one
+                const next = names.find(name => name !== active);
+                await activateSet(provider, context, treeView, next, sets[next], false);
+            } else {
+                delete sets[selected.label];
+                await vscode.workspace.getConfiguration('yasinFavorites').update(
+                    'sets', Object.keys(sets).length > 0 ? sets : undefined, vscode.ConfigurationTarget.Workspace
+                );
+                updateViewDescription(provider, treeView);
+            }
+            vscode.window.showInformationMessage(`Favorite set "${selected.label}" deleted`);
+        }),
+
+        // Branch mode - give a branch its own favorites, copied from the base list or another branch
+        vscode.commands.registerCommand('yasinFavorites.copyBranchFavorites', async () => {
+            if (!gitDir) {
+                vscode.window.showInformationMessage('Turn on "yasinFavorites.scopeToGitBranch" in a git repository to use branch favorites');
+                return;
+            }
+
+            const currentLabel = branch => branch === currentBranch ? '✓ Current' : '';
+            const source = await vscode.window.showQuickPick([
+                { label: 'Base list', description: 'Shared by branches without their own list' },
+                ...Object.keys(branchLists).sort((a, b) => a.localeCompare(b))
+                    .map(branch => ({ label: branch, branch, description: currentLabel(branch) }))
+            ], { placeHolder: 'Copy favorites from' });
+            if (!source) return;
+
+            const target = await vscode.window.showQuickPick((await getLocalBranches(gitDir))
+                .filter(branch => branch !== source.branch)
+                .map(branch => ({
+                    label: branch,
+                    description: [currentLabel(branch), branchLists[branch] ? 'has its own favorites' : '']
+                        .filter(Boolean).join(' · ')
+                })), { placeHolder: `Copy favorites of "${source.label}" to branch` });
+            if (!target) return;
+
+            if (branchLists[target.label]) {
+                const confirm = await vscode.window.showWarningMessage(
+                    `Replace the favorites of branch "${target.label}"?`,
+                    { modal: true },
+                    'Replace'
+                );
+                if (confirm !== 'Replace') return;
+            }
+
+            // The list shown in the panel is copied from the provider, others from settings
+            const config = vscode.workspace.getConfiguration('yasinFavorites');
+            let list;
+            if (source.branch === (hasBranchList() ? currentBranch : undefined)) {
+                list = {
+                    items: getStoredItems(provider).items,
+                    categories: provider.getCategoryList(SCOPE_WORKSPACE),
+                    categorySortOrders: provider.getCategorySortOrders(SCOPE_WORKSPACE),
+                    smartCategories: provider.getSmartCategories()
+                };
+            } else if (source.branch) {
+                list = branchLists[source.branch];
+            } else {
+                list = {
+                    items: config.get('items') || [],
+                    categories: config.get('categories') || [],
+                    categorySortOrders: config.get('categorySortOrders') || {},
+                    smartCategories: config.get('smartCategories') || []
+                };
+            }
+            branchLists[target.label] = JSON.parse(JSON.stringify(list));
+            updateSetting('branchFavorites', branchLists, vscode.ConfigurationTarget.Workspace);
+
+            if (target.label === currentBranch) {
+                loadWorkspaceFavorites(provider);
+                setupWatchers(provider, context);
+            }
+            updateViewDescription(provider, treeView);
+            vscode.window.showInformationMessage(
+                `Copied ${list.items.length} favorites from "${source.label}" to branch "${target.label}"`
+            );
+        }),
+
+        // Go to Favorite - fuzzy pick a favorite (or a file inside a favorite folder) to open it
+        vscode.commands.registerCommand('yasinFavorites.quickOpen', async () => {
+            const includeFolderContents = vscode.workspace.getConfiguration('yasinFavorites').get('quickOpenIncludeFolderContents');
+            const selected = await vscode.window.showQuickPick(getQuickOpenItems(provider, includeFolderContents), {
+                placeHolder: includeFolderContents ? 'Go to favorite or a file inside a favorite folder' : 'Go to favorite',
+                matchOnDescription: true
+            });
+            if (!selected) return;
+
+            const node = selected.node;
+            if (node.collapsibleState !== vscode.TreeItemCollapsibleState.None) {
+                // Folders are revealed in the panel
+                try {
+                    await treeView.reveal(node, { select: true, focus: true, expand: true });
+                } catch (err) {
+                    // Not part of the filtered tree
+                    vscode.window.showInformationMessage(`Clear the filter to reveal ${node.label}`);
+                }
+            } else if (node.command) {
+                await vscode.commands.executeCommand(node.command.command, ...node.command.arguments);
+            } else {
+                vscode.window.showWarningMessage(`Favorite not found: ${node.itemPath}`);
+            }
+        }),
+
+        // Filter the tree by name - applied live while typing
+        vscode.commands.registerCommand('yasinFavorites.filter', () => {
+            const previous = provider.getFilter();
+            const input = vscode.window.createInputBox();
+            input.title = 'Filter Favorites';
+            input.placeholder = 'Name or glob, e.g. button or *.test.js';
+            input.prompt = 'Enter to keep the filter, Escape to cancel';
+            input.value = previous || '';
+
+            let accepted = false;
+            let timer;
+            input.onDidChangeValue(value => {
+                clearTimeout(timer);
+                timer = setTimeout(() => applyFilter(provider, treeView, value), 200);
+            });
+            input.onDidAccept(() => {
+                accepted = true;
+                clearTimeout(timer);
+                applyFilter(provider, treeView, input.value);
+                input.hide();
+            });
+            input.onDidHide(() => {
+                clearTimeout(timer);
+                if (!accepted) {
+                    applyFilter(provider, treeView, previous);
+                }
+                input.dispose();
+            });
+            input.show();
+        }),
+
+        vscode.commands.registerCommand('yasinFavorites.clearFilter', () => {
+            applyFilter(provider, treeView, undefined);
+        }),
+
+        vscode.commands.registerCommand('yasinFavorites.showHiddenFiles', () => {
+            setShowHiddenFiles(provider, context, true);
+        }),
+
+        vscode.commands.registerCommand('yasinFavorites.hideHiddenFiles', () => {
+            setShowHiddenFiles(provider, context, false);
+        }),
+
         // Move Up/Down for reordering favorites
         vscode.commands.registerCommand('yasinFavorites.moveUp', (resource) => {
-            const itemPath = resource?.value || resource?.itemPath;
-            if (!itemPath) return;
+            const itemKey = resource?.itemKey || resource?.value;
+            if (!itemKey) return;
 
             const items = provider.getItems();
             const category = resource?.category;
+            const scope = resource?.scope || SCOPE_WORKSPACE;
+            if (!isManuallyOrdered(provider, category, scope)) return;
 
-            // Find items in same category (or root if no category)
-            const sameCategory = items.filter(item =>
-                category ? item.category === category : !item.category
+            // Find items in same scope and category (or root if no category)
+            const sameCategory = items.filter(item => getItemScope(item) === scope &&
+                (category ? item.category === category : !item.category)
             );
 
-            const currentIndex = sameCategory.findIndex(item => item.path === itemPath);
+            const currentIndex = sameCategory.findIndex(item => getItemKey(item) === itemKey);
             if (currentIndex <= 0) return; // Already at top or not found
 
             // Find the actual indices in the full items array
-            const currentFullIndex = items.findIndex(item => item.path === itemPath);
+            const currentFullIndex = items.findIndex(item => getItemKey(item) === itemKey);
             const prevItem = sameCategory[currentIndex - 1];
-            const prevFullIndex = items.findIndex(item => item.path === prevItem.path);
+            const prevFullIndex = items.indexOf(prevItem);
 
             // Swap in the full array
             [items[currentFullIndex], items[prevFullIndex]] = [items[prevFullIndex], items[currentFullIndex]];
@@ -532,24 +1946,26 @@ function activate(context) {
         }),
 
         vscode.commands.registerCommand('yasinFavorites.moveDown', (resource) => {
-            const itemPath = resource?.value || resource?.itemPath;
-            if (!itemPath) return;
+            const itemKey = resource?.itemKey || resource?.value;
+            if (!itemKey) return;
 
             const items = provider.getItems();
             const category = resource?.category;
+            const scope = resource?.scope || SCOPE_WORKSPACE;
+            if (!isManuallyOrdered(provider, category, scope)) return;
 
-            // Find items in same category (or root if no category)
-            const sameCategory = items.filter(item =>
-                category ? item.category === category : !item.category
+            // Find items in same scope and category (or root if no category)
+            const sameCategory = items.filter(item => getItemScope(item) === scope &&
+                (category ? item.category === category : !item.category)
             );
 
-            const currentIndex = sameCategory.findIndex(item => item.path === itemPath);
+            const currentIndex = sameCategory.findIndex(item => getItemKey(item) === itemKey);
             if (currentIndex < 0 || currentIndex >= sameCategory.length - 1) return; // At bottom or not found
 
             // Find the actual indices in the full items array
-            const currentFullIndex = items.findIndex(item => item.path === itemPath);
+            const currentFullIndex = items.findIndex(item => getItemKey(item) === itemKey);
             const nextItem = sameCategory[currentIndex + 1];
-            const nextFullIndex = items.findIndex(item => item.path === nextItem.path);
+            const nextFullIndex = items.indexOf(nextItem);
 
             // Swap in the full array
             [items[currentFullIndex], items[nextFullIndex]] = [items[nextFullIndex], items[currentFullIndex]];
@@ -558,31 +1974,131 @@ function activate(context) {
             saveConfig(provider);
         }),
 
+        // Favorites changed from inside the tree (drag and drop) - persist them
+        provider.onDidChangeFavorites(() => {
+            saveConfig(provider);
+            saveCategories(provider);
+            setupWatchers(provider, context);
+        }),
+
+        // Bookmarks follow their text as lines are inserted/removed above them
+        vscode.workspace.onDidChangeTextDocument(e => {
+            if (applyDocumentChange(provider.getBookmarks(), e)) {
+                provider.refreshBookmarks(e.document);
+            }
+        }),
+
+        // Count file opens for the Recent and Frequent sections
+        vscode.window.onDidChangeActiveTextEditor(editor => recordEditorOpen(provider, usageHistory, editor)),
+
+        // Persist shifted bookmarks once their file is saved
+        vscode.workspace.onDidSaveTextDocument(doc => {
+            const docUri = doc.uri.toString();
+            if (provider.getBookmarks().some(b => toUri(b.path).toString() === docUri)) {
+                saveConfig(provider);
+            }
+        }),
+
+        // Files renamed or moved outside the panel (Explorer, refactorings) - favorites follow them
+        vscode.workspace.onDidRenameFiles(e => {
+            let changed = false;
+            e.files.forEach(({ oldUri, newUri }) => {
+                provider.invalidatePath(oldUri);
+                provider.invalidatePath(newUri);
+                changed = provider.renamePath(toItemPath(oldUri), toItemPath(newUri)) || changed;
+                usageHistory.renamePath(toItemPath(oldUri), toItemPath(newUri));
+            });
+            if (changed) {
+                saveConfig(provider);
+                setupWatchers(provider, context);
+            }
+        }),
+
+        // Files deleted outside the panel - favorites at or below them show as missing
+        vscode.workspace.onDidDeleteFiles(e => {
+            e.files.forEach(uri => provider.invalidatePath(uri));
+            const deletedPaths = e.files.map(uri => toItemPath(uri));
+            if (provider.getItems().some(item => !isActionItem(item) &&
+                deletedPaths.some(deleted => isSameOrInside(item.path, deleted)))) {
+                provider.refresh();
+            }
+        }),
+
+        // Workspace folders added/removed - regroup (and follow the new first folder's branch)
+        vscode.workspace.onDidChangeWorkspaceFolders(() => {
+            provider.refresh();
+            startBranchTracking(provider, context, treeView);
+        }),
+
+        vscode.workspace.onDidChangeConfiguration(e => {
+            if (e.affectsConfiguration('yasinFavorites.scopeToGitBranch')) {
+                startBranchTracking(provider, context, treeView);
+            }
+            if (e.affectsConfiguration('yasinFavorites.folderPageSize')) {
+                provider.refresh();
+            }
+            if (e.affectsConfiguration('files.exclude') ||
+                e.affectsConfiguration('yasinFavorites.exclude') ||
+                e.affectsConfiguration('yasinFavorites.useGitignore')) {
+                provider.refresh();
+            }
+            if (e.affectsConfiguration('yasinFavorites.foldersPosition') ||
+                e.affectsConfiguration('yasinFavorites.groupByExtension')) {
+                const listingConfig = vscode.workspace.getConfiguration('yasinFavorites');
+                provider.setFoldersPosition(listingConfig.get('foldersPosition'));
+                provider.setGroupByExtension(listingConfig.get('groupByExtension'));
+            }
+            if (e.affectsConfiguration('yasinFavorites.recentCount') ||
+                e.affectsConfiguration('yasinFavorites.frequentCount')) {
+                const usageConfig = vscode.workspace.getConfiguration('yasinFavorites');
+                provider.setUsageSectionSizes(usageConfig.get('recentCount'), usageConfig.get('frequentCount'));
+            }
+            if (e.affectsConfiguration('yasinFavorites.groupByWorkspaceFolder')) {
+                provider.setGroupByWorkspaceFolder(
+                    vscode.workspace.getConfiguration('yasinFavorites').get('groupByWorkspaceFolder')
+                );
+            }
+            // Global favorites changed (e.g. in another window) - reload them
+            if (e.affectsConfiguration('yasinFavorites.globalItems') ||
+                e.affectsConfiguration('yasinFavorites.globalCategories') ||
+                e.affectsConfiguration('yasinFavorites.globalCategorySortOrders')) {
+                const globalConfig = vscode.workspace.getConfiguration('yasinFavorites');
+                provider.setCategoryList(globalConfig.inspect('globalCategories')?.globalValue || [], SCOPE_GLOBAL);
+                provider.setCategorySortOrders(globalConfig.inspect('globalCategorySortOrders')?.globalValue, SCOPE_GLOBAL);
+                provider.setItems([
+                    ...provider.getItems().filter(item => getItemScope(item) === SCOPE_WORKSPACE),
+                    ...loadGlobalItems()
+                ]);
+                setupWatchers(provider, context);
+            }
+        }),
+
         treeView
     );
 
-    // Restore on activation (convert relative paths back to absolute)
+    // Restore on activation - global favorites, then the active favorite set (and branch list once HEAD is read)
     const config = vscode.workspace.getConfiguration('yasinFavorites');
-    const saved = config.get('items') || [];
-    const savedCategories = config.get('categories') || [];
-    const sortOrder = config.get('sortOrder') || 'MANUAL';
-
-    provider.setSortOrder(sortOrder);
-    provider.setCategoryList(savedCategories);
 
-    if (saved.length > 0) {
-        // Convert stored paths (relative or absolute) to absolute paths
-        const items = saved.map(item => ({
-            ...item,
-            path: toAbsolutePath(item.path)
-        }));
-        provider.setItems(items);
-        setupWatchers(provider, context);
-    }
+    provider.setCategoryList(config.inspect('globalCategories')?.globalValue || [], SCOPE_GLOBAL);
+    provider.setCategorySortOrders(config.inspect('globalCategorySortOrders')?.globalValue, SCOPE_GLOBAL);
+    provider.setGroupByWorkspaceFolder(config.get('groupByWorkspaceFolder'));
+    provider.setFoldersPosition(config.get('foldersPosition'));
+    provider.setGroupByExtension(config.get('groupByExtension'));
+    provider.setUsageSectionSizes(config.get('recentCount'), config.get('frequentCount'));
+    provider.setUsageHistory(usageHistory);
+    setShowHiddenFiles(provider, context, context.workspaceState.get('yasinFavorites.showHiddenFiles', false));
+    provider.setItems(loadGlobalItems());
+    branchLists = { ...(config.inspect('branchFavorites')?.workspaceValue || {}) };
+    loadWorkspaceFavorites(provider);
+    setupWatchers(provider, context);
+    updateViewDescription(provider, treeView);
+    startBranchTracking(provider, context, treeView);
 }
 
 function deactivate() {
     fileWatchers.forEach(w => w.dispose());
+    smartCategoryWatchers.forEach(w => w.dispose());
+    branchWatcher?.dispose();
 }
 
 module.exports = { activate, deactivate };
@@ -1,33 +1,110 @@
 const vscode = require('vscode');
-const fs = require('fs');
-const path = require('path');
+const {
+    normalizeCategoryPath,
+    migrateCategoryPath,
+    getParentCategory,
+    getCategoryName,
+    joinCategory,
+    isInCategory,
+    getCategoryLineage
+} = require('./categoryPath');
+const {
+    toUri,
+    toItemPath,
+    getBasename,
+    getDirname,
+    joinItemPath,
+    isSameOrInside,
+    statItem,
+    isDirectory
+} = require('./uris');
+const { getItemKey, getBookmarkLabel, resolveBookmark, toRange } = require('./bookmarks');
+const { createNameMatcher } = require('./glob');
+const { getExcludedNames, isWatcherExcluded } = require('./exclusions');
+const { transferItems } = require('./fileTransfer');
+const { FOLDERS_FIRST, FOLDERS_LAST, getExtension, needsStats, compareEntries, compareFolderEntries } = require('./sorting');
+const { matchesSmartRule, dependsOnChanges, describeSmartRule, findSmartCategoryFiles } = require('./smartCategories');
+const { ACTION_ICONS, isActionItem, getActionTarget } = require('./actions');
+
+// Group key for favorites that live outside every workspace folder
+const OUTSIDE_WORKSPACE_GROUP = '';
+
+// Favorite scopes - workspace favorites are saved in workspace settings, global ones in user settings
+const SCOPE_WORKSPACE = 'workspace';
+const SCOPE_GLOBAL = 'global';
+
+// Directories read per refresh while looking for filter matches inside favorite folders
+const FILTER_SCAN_LIMIT = 2000;
+
+// Entries listed per page of a large folder when yasinFavorites.folderPageSize is not set
+const DEFAULT_PAGE_SIZE = 500;
+
+// Directory listings kept in the cache, least recently used dropped first (more than one filter scan reads)
+const DIRECTORY_CACHE_LIMIT = 2500;
+// How long listings of directories excluded from file watching (files.watcherExclude) are trusted
+const UNWATCHED_LISTING_TTL_MS = 10 * 1000;
+
+// Custom favorite icons that are codicon ids (anything else, e.g. an emoji, is shown before the label)
+const CODICON_PATTERN = /^[a-z0-9-]+(~spin)?$/;
+
+// Virtual sections listing opened files (see usageHistory.js)
+const USAGE_RECENT = 'recent';
+const USAGE_FREQUENT = 'frequent';
+
+// File watcher events are batched: handled after this pause, or at the latest after the max delay
+const WATCHER_DEBOUNCE_MS = 300;
+const WATCHER_MAX_DELAY_MS = 1000;
+
+// How long smart folder results are reused - shorter for time-limited rules, whose files age out without any event
+const SMART_RESULTS_TTL_MS = 60 * 1000;
+const TIME_LIMITED_SMART_RESULTS_TTL_MS = 5 * 1000;
 
 /**
- * FavoriteItem - TreeItem representing a favorited file or folder
+ * Get the scope of a stored favorite (items without a scope are workspace favorites)
+ * @param {{scope?: string}} item
+ * @returns {'workspace' | 'global'}
+ */
+function getItemScope(item) {
+    return item.scope === SCOPE_GLOBAL ? SCOPE_GLOBAL : SCOPE_WORKSPACE;
+}
+
+/**
+ * FavoriteItem - TreeItem representing a favorited file, folder, bookmark or action
  */
 class FavoriteItem extends vscode.TreeItem {
     /**
      * @param {string} label - Display name
      * @param {vscode.TreeItemCollapsibleState} collapsibleState - Collapse state
-     * @param {string} itemPath - Absolute filesystem path
-     * @param {'file' | 'folder'} type - Resource type
-     * @param {string|undefined} category - Category name (undefined = root level)
+     * @param {string|undefined} itemPath - Absolute filesystem path or URI string (undefined for actions)
+     * @param {'file' | 'folder' | 'bookmark' | 'command' | 'task' | 'link'} type - Resource type
+     * @param {string|undefined} category - Category path (undefined = root level)
+     * @param {'workspace' | 'global'} scope - Where the favorite is stored
      */
-    constructor(label, collapsibleState, itemPath, type, category) {
+    constructor(label, collapsibleState, itemPath, type, category, scope = SCOPE_WORKSPACE) {
         super(label, collapsibleState);
         this.value = itemPath;
         this.itemPath = itemPath;
+        // Unique key for favorites-list operations (differs from itemPath for bookmarks)
+        this.itemKey = itemPath;
         this.type = type;
         this.category = category;
-        this.resourceUri = vscode.Uri.file(itemPath);
+        this.scope = scope;
+        this.resourceUri = itemPath ? toUri(itemPath) : undefined;
         this.tooltip = itemPath;
 
         // Set context value based on type and category
         if (type === 'folder') {
             this.contextValue = category ? 'favorite.folder.categorized' : 'favorite.folder';
+        } else if (type === 'bookmark') {
+            this.contextValue = category ? 'favorite.bookmark.categorized' : 'favorite.bookmark';
+        } else if (isActionItem(type)) {
+            this.contextValue = `favorite.action.${type}${category ? '.categorized' : ''}`;
         } else {
             this.contextValue = category ? 'favorite.categorized' : 'favorite';
         }
+        if (scope === SCOPE_GLOBAL) {
+            this.contextValue += '.global';
+        }
 
         // Files open on click
         if (type === 'file') {
@@ -41,17 +118,56 @@ class FavoriteItem extends vscode.TreeItem {
 }
 
 /**
- * Category - TreeItem representing a virtual category folder
+ * Category - TreeItem representing a virtual category folder (may be nested)
  */
 class Category extends vscode.TreeItem {
     /**
-     * @param {string} name - Category name
+     * @param {string} name - Full category path, e.g. "Backend/Payments"
+     * @param {string|undefined} groupKey - Workspace folder group this node is shown under (undefined = no grouping)
+     * @param {'workspace' | 'global'} scope - Scope the category belongs to
      */
-    constructor(name) {
-        super(name, vscode.TreeItemCollapsibleState.Expanded);
+    constructor(name, groupKey, scope = SCOPE_WORKSPACE) {
+        super(getCategoryName(name), vscode.TreeItemCollapsibleState.Expanded);
         this.name = name;
-        this.contextValue = 'category';
+        this.groupKey = groupKey;
+        this.scope = scope;
+        this.parentName = getParentCategory(name);
+        this.contextValue = this.parentName ? 'category.nested' : 'category';
+        if (scope === SCOPE_GLOBAL) {
+            this.contextValue += '.global';
+        }
         this.iconPath = new vscode.ThemeIcon('folder');
+        this.tooltip = name;
+    }
+}
+
+/**
+ * GlobalSection - TreeItem holding the global favorites (shown in every window)
+ */
+class GlobalSection extends vscode.TreeItem {
+    constructor() {
+        super('Global Favorites', vscode.TreeItemCollapsibleState.Expanded);
+        this.scope = SCOPE_GLOBAL;
+        this.contextValue = 'globalSection';
+        this.iconPath = new vscode.ThemeIcon('globe');
+        this.tooltip = 'Favorites stored in user settings - shown in every window';
+    }
+}
+
+/**
+ * WorkspaceFolderGroup - TreeItem grouping favorites by the workspace folder that owns them
+ */
+class WorkspaceFolderGroup extends vscode.TreeItem {
+    /**
+     * @param {string} groupKey - Workspace folder name, or OUTSIDE_WORKSPACE_GROUP
+     * @param {vscode.Uri|undefined} folderUri - Workspace folder URI (undefined for the outside group)
+     */
+    constructor(groupKey, folderUri) {
+        super(groupKey === OUTSIDE_WORKSPACE_GROUP ? 'Outside Workspace' : groupKey, vscode.TreeItemCollapsibleState.Expanded);
+        this.groupKey = groupKey;
+        this.contextValue = 'workspaceFolderGroup';
+        this.iconPath = new vscode.ThemeIcon(folderUri ? 'root-folder' : 'file-symlink-directory');
+        this.tooltip = folderUri ? folderUri.fsPath : 'Favorites outside every workspace folder';
     }
 }
 
@@ -62,14 +178,14 @@ class Resource extends vscode.TreeItem {
     /**
      * @param {string} label - Display name
      * @param {vscode.TreeItemCollapsibleState} collapsibleState - Collapse state
-     * @param {string} value - Absolute filesystem path
+     * @param {string} value - Absolute filesystem path or URI string
      * @param {string} contextValue - Type identifier for context menu routing
      */
     constructor(label, collapsibleState, value, contextValue) {
         super(label, collapsibleState);
         this.value = value;
         this.contextValue = contextValue;
-        this.resourceUri = vscode.Uri.file(value);
+        this.resourceUri = toUri(value);
         this.tooltip = value;
 
         // Files open on click
@@ -83,6 +199,133 @@ class Resource extends vscode.TreeItem {
     }
 }
 
+/**
+ * ShowMoreItem - TreeItem at the end of a paged folder listing, lists the next page when clicked
+ */
+class ShowMoreItem extends vscode.TreeItem {
+    /**
+     * @param {string} dirPath - Listed directory
+     * @param {string} favoritePath - Favorite folder the directory belongs to
+     * @param {number} shown - Entries listed so far
+     * @param {number} total - Entries in the directory
+     */
+    constructor(dirPath, favoritePath, shown, total) {
+        super('Show more…', vscode.TreeItemCollapsibleState.None);
+        this.dirPath = dirPath;
+        this.favoritePath = favoritePath;
+        this.contextValue = 'showMore';
+        this.description = `${shown} of ${total}`;
+        this.iconPath = new vscode.ThemeIcon('ellipsis');
+        this.command = {
+            command: 'yasinFavorites.showMore',
+            title: 'Show More',
+            arguments: [this]
+        };
+    }
+}
+
+/**
+ * ExtensionGroup - virtual node holding the files of a folder with one extension (group by extension mode)
+ */
+class ExtensionGroup extends vscode.TreeItem {
+    /**
+     * @param {string} dirPath - Listed directory
+     * @param {string} favoritePath - Favorite folder the directory belongs to
+     * @param {string} extension - Lower-case extension with the dot, '' for files without one
+     * @param {number} count - Number of files in the group
+     */
+    constructor(dirPath, favoritePath, extension, count) {
+        super(extension || 'No Extension', vscode.TreeItemCollapsibleState.Collapsed);
+        this.dirPath = dirPath;
+        this.favoritePath = favoritePath;
+        this.extension = extension;
+        this.contextValue = 'extensionGroup';
+        this.description = String(count);
+        this.tooltip = `${count} ${extension || 'extensionless'} file${count === 1 ? '' : 's'}`;
+        // ThemeIcon.File takes the file icon theme's icon for the resourceUri's name - a URI of our own,
+        // so no real file lends the group its decorations
+        this.iconPath = vscode.ThemeIcon.File;
+        this.resourceUri = vscode.Uri.from({ scheme: 'yasin-favorites-group', path: `/file${extension}` });
+    }
+}
+
+/**
+ * SmartCategory - virtual folder listing the workspace files that match a saved query (see smartCategories.js)
+ */
+class SmartCategory extends vscode.TreeItem {
+    /**
+     * @param {{name: string, include: string, exclude?: string, modifiedWithin?: number, maxResults?: number}} rule
+     */
+    constructor(rule) {
+        // Collapsed, so the search only runs once the folder is opened
+        super(rule.name, vscode.TreeItemCollapsibleState.Collapsed);
+        this.name = rule.name;
+        this.contextValue = 'smartCategory';
+        this.iconPath = new vscode.ThemeIcon('search');
+        this.tooltip = describeSmartRule(rule);
+    }
+}
+
+/**
+ * SmartCategoryError - TreeItem shown in a smart folder whose search failed (e.g. a glob that doesn't compile)
+ */
+class SmartCategoryError extends vscode.TreeItem {
+    /**
+     * @param {string} smartCategory - Name of the smart folder
+     * @param {string} message
+     */
+    constructor(smartCategory, message) {
+        super(message, vscode.TreeItemCollapsibleState.None);
+        this.smartCategory = smartCategory;
+        this.contextValue = 'smartCategoryError';
+        this.iconPath = new vscode.ThemeIcon('error');
+        this.tooltip = `${message}\nEdit the smart folder to fix its rule`;
+    }
+}
+
+/**
+ * UsageSection - virtual category listing the files opened most recently or most often
+ */
+class UsageSection extends vscode.TreeItem {
+    /**
+     * @param {'recent' | 'frequent'} kind
+     */
+    constructor(kind) {
+        super(kind === USAGE_RECENT ? 'Recent' : 'Frequent', vscode.TreeItemCollapsibleState.Expanded);
+        this.kind = kind;
+        this.contextValue = 'usageSection';
+        this.iconPath = new vscode.ThemeIcon(kind === USAGE_RECENT ? 'history' : 'flame');
+        this.tooltip = kind === USAGE_RECENT ? 'Files opened most recently' : 'Files opened most often';
+    }
+}
+
+/**
+ * UsageItem - TreeItem representing a file in the Recent or Frequent section
+ */
+class UsageItem extends vscode.TreeItem {
+    /**
+     * @param {'recent' | 'frequent'} kind - Section it is shown in
+     * @param {{path: string, count: number, lastOpened: number}} entry - Usage history entry
+     */
+    constructor(kind, entry) {
+        super(getBasename(entry.path), vscode.TreeItemCollapsibleState.None);
+        this.kind = kind;
+        this.value = entry.path;
+        this.contextValue = 'usageItem';
+        this.resourceUri = toUri(entry.path);
+
+        const folder = vscode.workspace.asRelativePath(vscode.Uri.joinPath(this.resourceUri, '..'));
+        this.description = kind === USAGE_FREQUENT ? `${entry.count}× · ${folder}` : folder;
+        const times = entry.count === 1 ? 'once' : `${entry.count} times`;
+        this.tooltip = `${entry.path}\nOpened ${times}, last on ${new Date(entry.lastOpened).toLocaleString()}`;
+        this.command = {
+            command: 'vscode.open',
+            title: 'Open File',
+            arguments: [this.resourceUri]
+        };
+    }
+}
+
 /**
  * YasinFavoritesProvider - TreeDataProvider for the FAVORITES panel
  */
@@ -91,446 +334,1857 @@ class YasinFavoritesProvider {
         this._onDidChangeTreeData = new vscode.EventEmitter();
         this.onDidChangeTreeData = this._onDidChangeTreeData.event;
 
-        // Array of favorite items: { path: string, type: 'file' | 'folder', category?: string }
+        // Fired when the tree itself changes the favorites (e.g. drag and drop) - the extension saves them
+        this._onDidChangeFavorites = new vscode.EventEmitter();
+        this.onDidChangeFavorites = this._onDidChangeFavorites.event;
+
+        // Fired after the tree moved files on disk (drag and drop) - { label, steps } for the undo journal
+        this._onDidPerformFileOperation = new vscode.EventEmitter();
+        this.onDidPerformFileOperation = this._onDidPerformFileOperation.event;
+
+        // Array of favorite items: { path: string, type: 'file' | 'folder', category?: string, scope?: 'global' }
+        // category is a full category path, e.g. "Backend/Payments"
         this.items = [];
 
-        // Array of category names (includes empty categories)
-        this.categoryList = [];
+        // Category paths per scope (includes empty categories and every ancestor)
+        this.categoryLists = { [SCOPE_WORKSPACE]: [], [SCOPE_GLOBAL]: [] };
 
-        // Sort order: 'ASC', 'DESC', or 'MANUAL'
+        // Sort order (see sorting.js: ASC, DESC, NATURAL, EXTENSION, MODIFIED, CREATED, SIZE or MANUAL) -
+        // the default for every level
         this.sortOrder = 'MANUAL';
-
-        // Drag and Drop support
-        this.dropMimeTypes = ['application/vnd.code.tree.yasinFavorites'];
+        // Sort orders of categories per scope (category path -> order), inherited by sub-categories;
+        // favorite folders keep theirs in item.sortOrder
+        this.categorySortOrders = { [SCOPE_WORKSPACE]: {}, [SCOPE_GLOBAL]: {} };
+
+        // Smart categories (workspace only): { name, include, exclude?, modifiedWithin?, maxResults?, sortOrder? }
+        this.smartCategories = [];
+        // Search results by smart category name: { search: Promise<{ files, total }>, searchedAt } - dropped when
+        // matching files change, and expire (see SMART_RESULTS_TTL_MS)
+        this._smartResults = new Map();
+
+        // Group root by workspace folder (multi-root workspaces only)
+        this.groupByWorkspaceFolder = false;
+
+        // Folders first, last or mixed with files in folder listings (yasinFavorites.foldersPosition)
+        this.foldersPosition = FOLDERS_LAST;
+        // Group the files of expanded folders by extension (yasinFavorites.groupByExtension)
+        this.groupByExtension = false;
+
+        // Opened files for the Recent and Frequent sections (a UsageHistory, set by the extension) and the
+        // number of files each section lists (0 = hidden)
+        this.usageHistory = undefined;
+        this.usageSectionSizes = { [USAGE_RECENT]: 0, [USAGE_FREQUENT]: 0 };
+
+        // Show excluded files (files.exclude, yasinFavorites.exclude, .gitignore) in folder listings
+        this.showHiddenFiles = false;
+        // .gitignore lookups per directory - cleared on refresh
+        this._gitignoreCache = new Map();
+
+        // Directory listings by URI string:
+        // { listing: Promise<{ entries, stats: Map<name, {mtime, ctime, size}> }>, expiresAt? }
+        // Kept across refreshes - file watcher events drop the affected ones (invalidatePath); in
+        // least-recently-used order, capped at DIRECTORY_CACHE_LIMIT
+        this._directoryCache = new Map();
+        // Entries listed per large directory (grows with "Show more…")
+        this._pageSizes = new Map();
+
+        // Nodes handed to VS Code since the last full refresh, so watcher events can refresh just them:
+        // path key (URI string) -> Set of nodes, and parent node (null = root) -> its children
+        this._renderedNodes = new Map();
+        this._childNodes = new Map();
+
+        // File watcher events waiting to be handled: { uri, kind }
+        this._pendingChanges = [];
+        this._changeTimer = undefined;
+        this._firstPendingChange = 0;
+
+        // Name filter: { text, matches(name), cache: Map<nodeKey, boolean>, scanned } (undefined = show everything)
+        this.filter = undefined;
+        // Bumped on every filter change so filtered nodes get fresh ids (and their expanded state applies)
+        this._filterGeneration = 0;
+
+        // Drag and Drop support - also accepts files dragged in from the Explorer and editor tabs, which both
+        // provide them as text/uri-list (the Explorer's own tree data is not readable by extensions)
+        this.dropMimeTypes = [
+            'application/vnd.code.tree.yasinFavorites',
+            'text/uri-list'
+        ];
         this.dragMimeTypes = ['application/vnd.code.tree.yasinFavorites'];
     }
 
     refresh() {
+        this._gitignoreCache.clear();
+        this._renderedNodes.clear();
+        this._childNodes.clear();
+        if (this.filter) {
+            this.filter.cache.clear();
+            this.filter.scanned = 0;
+        }
         this._onDidChangeTreeData.fire();
     }
 
-    getTreeItem(element) {
-        return element;
-    }
-
     /**
-     * Set sort order and refresh
-     * @param {'ASC' | 'DESC' | 'MANUAL'} order
+     * Show the Recent and Frequent sections from a usage history - they update whenever it changes
+     * @param {import('./usageHistory')} history
      */
-    setSortOrder(order) {
-        this.sortOrder = order;
+    setUsageHistory(history) {
+        this.usageHistory = history;
+        history.onDidChange(() => this._refreshUsageSections());
         this.refresh();
     }
 
     /**
-     * Set category list (for restoring from config)
-     * @param {string[]} categories
+     * Set the number of files the Recent and Frequent sections list (0 hides a section) and refresh
+     * @param {number} recent
+     * @param {number} frequent
      */
-    setCategoryList(categories) {
-        this.categoryList = categories || [];
+    setUsageSectionSizes(recent, frequent) {
+        this.usageSectionSizes = { [USAGE_RECENT]: recent || 0, [USAGE_FREQUENT]: frequent || 0 };
         this.refresh();
     }
 
     /**
-     * Get category list
-     * @returns {string[]}
-     */
-    getCategoryList() {
-        return [...this.categoryList];
-    }
-
-    /**
-     * Add a new category
-     * @param {string} name
+     * Get the files a usage section lists - existing files that aren't favorites themselves
+     * @param {'recent' | 'frequent'} kind
+     * @returns {Promise<Array<{path: string, count: number, lastOpened: number}>>}
      */
-    addCategory(name) {
-        if (!this.categoryList.includes(name)) {
-            this.categoryList.push(name);
-            this.refresh();
+    async _getUsageEntries(kind) {
+        const size = this.usageSectionSizes[kind];
+        if (!this.usageHistory || !size) return [];
+
+        const favoriteKeys = new Set(this.items
+            .filter(item => item.type !== 'bookmark' && !isActionItem(item))
+            .map(item => toUri(item.path).toString()));
+        const history = kind === USAGE_RECENT ? this.usageHistory.getRecent() : this.usageHistory.getFrequent();
+        const entries = [];
+        for (const entry of history) {
+            if (entries.length >= size) break;
+            if (favoriteKeys.has(toUri(entry.path).toString())) continue;
+            const stat = await statItem(entry.path);
+            if (stat && !isDirectory(stat)) {
+                entries.push(entry);
+            }
         }
+        return entries;
     }
 
     /**
-     * Get unique category names from items (legacy - categories that have items)
-     * @returns {string[]}
+     * Get the usage sections that have files to list
+     * @returns {Promise<UsageSection[]>}
      */
-    getCategories() {
-        const categories = new Set();
-        this.items.forEach(item => {
-            if (item.category) {
-                categories.add(item.category);
+    async _getUsageSections() {
+        const sections = [];
+        for (const kind of [USAGE_RECENT, USAGE_FREQUENT]) {
+            if ((await this._getUsageEntries(kind)).length > 0) {
+                sections.push(new UsageSection(kind));
             }
-        });
-        return Array.from(categories);
+        }
+        return sections;
     }
 
     /**
-     * Get all categories (union of categoryList and categories with items)
-     * @returns {string[]}
+     * Update the usage sections after the history changed - just their nodes, unless a section
+     * appears or disappears (or a filter applies)
      */
-    getAllCategories() {
-        const categories = new Set(this.categoryList);
-        this.items.forEach(item => {
-            if (item.category) {
-                categories.add(item.category);
-            }
-        });
-        return Array.from(categories);
+    async _refreshUsageSections() {
+        const rendered = (this._childNodes.get(null) || []).filter(node => node instanceof UsageSection);
+        const shown = await this._getUsageSections();
+        const kinds = sections => sections.map(section => section.kind).join();
+        if (this.filter || kinds(rendered) !== kinds(shown)) {
+            this.refresh();
+        } else if (rendered.length > 0) {
+            this._onDidChangeTreeData.fire(rendered);
+        }
     }
 
     /**
-     * Get modification time for a path
-     * @param {string} filePath
-     * @returns {number} mtime in ms, 0 if not found
+     * Drop cached listings affected by a file system change - the parent's listing, and the path's own
+     * listings (and everything below it) if it is a folder
+     * @param {vscode.Uri} uri - Created, changed or deleted file or folder
      */
-    _getMtime(filePath) {
-        try {
-            if (fs.existsSync(filePath)) {
-                const stat = fs.statSync(filePath);
-                return stat.mtimeMs;
+    invalidatePath(uri) {
+        const key = uri.toString();
+        this._directoryCache.delete(vscode.Uri.joinPath(uri, '..').toString());
+        for (const cachedKey of this._directoryCache.keys()) {
+            if (cachedKey === key || cachedKey.startsWith(key + '/')) {
+                this._directoryCache.delete(cachedKey);
             }
-        } catch (e) {
-            // ignore
         }
-        return 0;
     }
 
     /**
-     * Sort items based on current sort order
-     * @param {Array} items - Items to sort
-     * @returns {Array} - Sorted items
+     * Queue a change reported by a file watcher - changes are handled together after a short pause,
+     * so bulk changes (git checkout, npm install) cause one update instead of hundreds
+     * @param {vscode.Uri} uri
+     * @param {'create' | 'change' | 'delete'} kind
      */
-    _sortItems(items) {
-        if (this.sortOrder === 'MANUAL' || !items || items.length === 0) {
-            return items; // Keep original order
-        }
-
-        const sorted = [...items];
-
-        if (this.sortOrder === 'MODIFIED') {
-            // Pre-fetch all mtimes to avoid repeated stat calls during sort
-            const mtimes = new Map();
-            for (const item of sorted) {
-                const p = item.path || item;
-                mtimes.set(p, this._getMtime(p));
-            }
-            sorted.sort((a, b) => {
-                const mtimeA = mtimes.get(a.path || a) || 0;
-                const mtimeB = mtimes.get(b.path || b) || 0;
-                return mtimeB - mtimeA; // Newest first
-            });
-        } else if (this.sortOrder === 'ASC') {
-            sorted.sort((a, b) => {
-                const nameA = path.basename(a.path || a).toLowerCase();
-                const nameB = path.basename(b.path || b).toLowerCase();
-                return nameA.localeCompare(nameB);
-            });
-        } else if (this.sortOrder === 'DESC') {
-            sorted.sort((a, b) => {
-                const nameA = path.basename(a.path || a).toLowerCase();
-                const nameB = path.basename(b.path || b).toLowerCase();
-                return nameB.localeCompare(nameA);
-            });
+    queueFileChange(uri, kind) {
+        if (this._pendingChanges.length === 0) {
+            this._firstPendingChange = Date.now();
         }
+        this._pendingChanges.push({ uri, kind });
 
-        return sorted;
+        clearTimeout(this._changeTimer);
+        const waited = Date.now() - this._firstPendingChange;
+        this._changeTimer = setTimeout(
+            () => this._applyFileChanges(),
+            Math.max(0, Math.min(WATCHER_DEBOUNCE_MS, WATCHER_MAX_DELAY_MS - waited))
+        );
     }
 
     /**
-     * Get children - returns favorites/categories at root, or folder contents when element provided
+     * Handle the queued file changes - refresh only the folders whose listing changed and the favorites
+     * that appeared or disappeared (the whole tree while filtering, or when a .gitignore changed)
      */
-    getChildren(element) {
-        // Root level - return root favorites and categories
-        if (!element) {
-            const result = [];
-            const allCategories = this.getAllCategories();
-
-            // Get root-level favorites (no category) - KEEP MANUAL ORDER (no sorting)
-            const rootItems = this.items.filter(item => !item.category);
-
-            rootItems.forEach(item => {
-                const exists = fs.existsSync(item.path);
-                const label = path.basename(item.path);
-                const collapsible = item.type === 'folder'
-                    ? vscode.TreeItemCollapsibleState.Collapsed
-                    : vscode.TreeItemCollapsibleState.None;
-
-                const favoriteItem = new FavoriteItem(label, collapsible, item.path, item.type, undefined);
-
-                // Mark missing paths
-                if (!exists) {
-                    favoriteItem.iconPath = new vscode.ThemeIcon('warning');
-                    favoriteItem.description = '(missing)';
-                    favoriteItem.contextValue = 'favorite.missing';
-                }
-
-                result.push(favoriteItem);
-            });
-
-            // Add category nodes - KEEP MANUAL ORDER (no sorting)
-            allCategories.forEach(categoryName => {
-                result.push(new Category(categoryName));
+    async _applyFileChanges() {
+        const changes = this._pendingChanges;
+        this._pendingChanges = [];
+        this._changeTimer = undefined;
+
+        const favoriteKeys = new Set(this.items
+            .filter(item => item.type !== 'bookmark' && !isActionItem(item))
+            .map(item => toUri(item.path).toString()));
+        const nodes = new Set();
+        const favoriteNodes = new Set();
+        const smartNodes = (this._childNodes.get(null) || []).filter(node => node instanceof SmartCategory);
+        // Filter results depend on whole subtrees
+        let refreshAll = !!this.filter;
+
+        changes.forEach(({ uri, kind }) => {
+            this.invalidatePath(uri);
+            const key = uri.toString();
+            if (uri.path.endsWith('/.gitignore')) {
+                refreshAll = true;
+            }
+            this._getChangedSmartCategories(uri, kind).forEach(name => {
+                this._smartResults.delete(name);
+                smartNodes.filter(node => node.name === name).forEach(node => nodes.add(node));
             });
+            if (kind === 'change') {
+                // Content changes only reorder entries sorted by modification time or size
+                if (!this._isSortOrderUsed('MODIFIED') && !this._isSortOrderUsed('SIZE')) return;
+                if (favoriteKeys.has(key)) refreshAll = true;
+            } else if (favoriteKeys.has(key)) {
+                (this._renderedNodes.get(key) || []).forEach(node => {
+                    if (node instanceof FavoriteItem) favoriteNodes.add(node);
+                });
+            }
+            (this._renderedNodes.get(vscode.Uri.joinPath(uri, '..').toString()) || []).forEach(node => nodes.add(node));
+        });
 
-            return result;
+        if (refreshAll) {
+            this.refresh();
+            return;
         }
-
-        // Category element - return items in that category - KEEP MANUAL ORDER (no sorting)
-        if (element instanceof Category) {
-            const categoryItems = this.items.filter(item => item.category === element.name);
-
-            return categoryItems.map(item => {
-                const exists = fs.existsSync(item.path);
-                const label = path.basename(item.path);
-                const collapsible = item.type === 'folder'
-                    ? vscode.TreeItemCollapsibleState.Collapsed
-                    : vscode.TreeItemCollapsibleState.None;
-
-                const favoriteItem = new FavoriteItem(label, collapsible, item.path, item.type, item.category);
-
-                if (!exists) {
-                    favoriteItem.iconPath = new vscode.ThemeIcon('warning');
-                    favoriteItem.description = '(missing)';
-                    favoriteItem.contextValue = 'favorite.missing';
-                }
-
-                return favoriteItem;
-            });
+        await Promise.all([...favoriteNodes].map(node => this._updateFavoriteNode(node)));
+        favoriteNodes.forEach(node => nodes.add(node));
+        if (nodes.size > 0) {
+            this._onDidChangeTreeData.fire([...nodes]);
         }
+    }
 
-        // FavoriteItem folder - return filesystem children
-        if (element instanceof FavoriteItem && element.type === 'folder') {
-            return this._getFilesystemChildren(element.itemPath);
-        }
+    /**
+     * Refresh the shown bookmarks of an edited document in place - their lines moved, nothing else changed
+     * @param {vscode.TextDocument} document
+     */
+    async refreshBookmarks(document) {
+        const documentUri = document.uri.toString();
+        const nodes = [...this._childNodes.values()].flat().filter(node => node instanceof FavoriteItem &&
+            node.type === 'bookmark' && toUri(node.itemPath).toString() === documentUri);
+        if (nodes.length === 0) return;
+        await Promise.all(nodes.map(node => this._updateFavoriteNode(node, document)));
+        this._onDidChangeTreeData.fire(nodes);
+    }
 
-        // Resource directory - return filesystem children
-        if (element instanceof Resource && element.contextValue === 'resource.dir') {
-            return this._getFilesystemChildren(element.value);
-        }
+    /**
+     * Get the smart categories whose results a file change affects - created and deleted files matching
+     * the rule (or a deleted folder holding listed files), changed files only where times or sizes count
+     * @param {vscode.Uri} uri
+     * @param {'create' | 'change' | 'delete'} kind
+     * @returns {string[]} - Smart category names
+     */
+    _getChangedSmartCategories(uri, kind) {
+        const smartNodes = (this._childNodes.get(null) || []).filter(node => node instanceof SmartCategory);
+        return this.smartCategories
+            .filter(rule => {
+                if (kind === 'change' && !dependsOnChanges(rule, this.sortOrder)) return false;
+                if (matchesSmartRule(rule, uri)) return true;
+                // Folder deletes are reported for the folder only
+                return kind === 'delete' && smartNodes.some(node => node.name === rule.name &&
+                    (this._childNodes.get(node) || []).some(child => isSameOrInside(child.value, toItemPath(uri))));
+            })
+            .map(rule => rule.name);
+    }
 
-        return [];
+    /**
+     * Re-check a favorite node (e.g. its missing state) in place - VS Code only refreshes nodes it knows
+     * @param {FavoriteItem} node
+     * @param {vscode.TextDocument} [document] - Open document of a bookmark's file
+     */
+    async _updateFavoriteNode(node, document) {
+        const item = this.items.find(item => getItemKey(item) === node.itemKey);
+        if (!item) return;
+        const fresh = await this._createFavoriteItem(item, document);
+        ['label', 'description', 'iconPath', 'tooltip', 'contextValue', 'command'].forEach(property => {
+            node[property] = fresh[property];
+        });
     }
 
     /**
-     * Get filesystem children of a directory - APPLIES sortOrder setting
-     * @param {string} dirPath - Directory path
-     * @returns {Resource[]}
+     * Remember the nodes returned for a parent, forgetting the ones it had before (and their descendants)
+     * @param {vscode.TreeItem|undefined} element
+     * @param {vscode.TreeItem[]} children
      */
-    _getFilesystemChildren(dirPath) {
-        try {
-            const items = fs.readdirSync(dirPath);
-            const filtered = items.filter(item => !item.startsWith('.'));
-
-            // Pre-fetch stat info for sorting
-            const itemStats = new Map();
-            for (const item of filtered) {
-                const fullPath = path.join(dirPath, item);
-                try {
-                    const stat = fs.statSync(fullPath);
-                    itemStats.set(item, {
-                        isDir: stat.isDirectory(),
-                        mtime: stat.mtimeMs,
-                        fullPath: fullPath
-                    });
-                } catch (e) {
-                    itemStats.set(item, { isDir: false, mtime: 0, fullPath: fullPath });
-                }
+    _trackNodes(element, children) {
+        this._forgetNodes(element ?? null);
+        this._childNodes.set(element ?? null, children);
+        children.forEach(child => {
+            const key = this._getPathKey(child);
+            if (!key) return;
+            if (!this._renderedNodes.has(key)) {
+                this._renderedNodes.set(key, new Set());
             }
-
-            // Sort based on sortOrder setting
-            filtered.sort((a, b) => {
-                const statA = itemStats.get(a);
-                const statB = itemStats.get(b);
-
-                // Directories AFTER files (at bottom)
-                if (statA.isDir && !statB.isDir) return 1;
-                if (!statA.isDir && statB.isDir) return -1;
-
-                // Then apply sortOrder
-                if (this.sortOrder === 'MODIFIED') {
-                    return statB.mtime - statA.mtime; // Newest first
-                } else if (this.sortOrder === 'DESC') {
-                    return b.toLowerCase().localeCompare(a.toLowerCase()); // Z-A
-                } else {
-                    // ASC or MANUAL - alphabetical (A-Z)
-                    return a.toLowerCase().localeCompare(b.toLowerCase());
-                }
-            });
-
-            return filtered
-                .map(item => {
-                    const stat = itemStats.get(item);
-                    const collapsibleState = stat.isDir
-                        ? vscode.TreeItemCollapsibleState.Collapsed
-                        : vscode.TreeItemCollapsibleState.None;
-                    const contextValue = stat.isDir ? 'resource.dir' : 'resource';
-                    return new Resource(item, collapsibleState, stat.fullPath, contextValue);
-                })
-                .filter(item => item !== null);
-        } catch (err) {
-            console.error('YasinFavoritesProvider.getChildren error:', err);
-            return [];
-        }
+            this._renderedNodes.get(key).add(child);
+        });
     }
 
     /**
-     * Add a path to favorites
-     * @param {string} itemPath - Absolute path
-     * @param {'file' | 'folder'} type - Resource type
-     * @returns {boolean} - True if added, false if duplicate
+     * Forget the tracked children of a node, recursively
+     * @param {vscode.TreeItem|null} parent - null = root
      */
-    addFavorite(itemPath, type) {
-        // Check for duplicate
-        if (this.items.some(item => item.path === itemPath)) {
-            vscode.window.showInformationMessage('Already in favorites: ' + path.basename(itemPath));
-            return false;
-        }
-        this.items.push({ path: itemPath, type: type });
-        this.refresh();
-        return true;
+    _forgetNodes(parent) {
+        const children = this._childNodes.get(parent);
+        if (!children) return;
+        this._childNodes.delete(parent);
+        children.forEach(child => {
+            this._renderedNodes.get(this._getPathKey(child))?.delete(child);
+            this._forgetNodes(child);
+        });
     }
 
     /**
-     * Remove a path from favorites
-     * @param {string} itemPath - Absolute path
+     * Get the URI string of the file or folder a node shows (undefined for categories, sections, bookmarks)
+     * @param {vscode.TreeItem} node
+     * @returns {string|undefined}
      */
-    removeFavorite(itemPath) {
-        const index = this.items.findIndex(item => item.path === itemPath);
-        if (index > -1) {
-            this.items.splice(index, 1);
-            this.refresh();
-        }
+    _getPathKey(node) {
+        if (node instanceof FavoriteItem && node.itemPath && node.type !== 'bookmark') return toUri(node.itemPath).toString();
+        if (node instanceof Resource) return toUri(node.value).toString();
+        return undefined;
     }
 
     /**
-     * Move item to category
-     * @param {string} itemPath - Path of item to move
-     * @param {string} categoryName - Target category name
+     * Forget all cached listings (e.g. for a manual refresh) - changes in folders excluded from
+     * file watching (files.watcherExclude) don't invalidate them, their listings only expire
      */
-    moveToCategory(itemPath, categoryName) {
-        const item = this.items.find(item => item.path === itemPath);
-        if (item) {
-            item.category = categoryName;
-            // Ensure category is in the list
-            if (!this.categoryList.includes(categoryName)) {
-                this.categoryList.push(categoryName);
-            }
-            this.refresh();
-        }
+    clearCache() {
+        this._directoryCache.clear();
+        this._pageSizes.clear();
+        this._smartResults.clear();
     }
 
     /**
-     * Move item to root (remove category)
-     * @param {string} itemPath - Path of item to move
+     * List the next page of a large directory - only the folder node showing it is refreshed
+     * @param {ShowMoreItem} showMoreItem
      */
-    moveToRoot(itemPath) {
-        const item = this.items.find(item => item.path === itemPath);
-        if (item) {
-            delete item.category;
+    showMore(showMoreItem) {
+        const key = toUri(showMoreItem.dirPath).toString();
+        this._pageSizes.set(key, (this._pageSizes.get(key) || this._getPageSize()) + this._getPageSize());
+        const parents = [...this._childNodes.entries()]
+            .filter(([parent, children]) => parent && children.includes(showMoreItem))
+            .map(([parent]) => parent);
+        if (parents.length === 0) {
             this.refresh();
+            return;
         }
+        this._onDidChangeTreeData.fire(parents);
     }
 
     /**
-     * Rename a category
-     * @param {string} oldName - Current category name
-     * @param {string} newName - New category name
+     * Entries per page of a large directory
+     * @returns {number}
      */
-    renameCategory(oldName, newName) {
-        // Update items
-        this.items.forEach(item => {
-            if (item.category === oldName) {
-                item.category = newName;
-            }
-        });
-
-        // Update category list
-        const index = this.categoryList.indexOf(oldName);
-        if (index > -1) {
-            this.categoryList[index] = newName;
-        }
+    _getPageSize() {
+        return vscode.workspace.getConfiguration('yasinFavorites').get('folderPageSize') || DEFAULT_PAGE_SIZE;
+    }
 
+    /**
+     * Filter the tree by name - a substring or a glob (e.g. "*.test.js"), case-insensitive
+     * @param {string|undefined} text - Empty/undefined clears the filter
+     */
+    setFilter(text) {
+        const trimmed = (text || '').trim();
+        this.filter = trimmed
+            ? { text: trimmed, matches: createNameMatcher(trimmed), cache: new Map(), scanned: 0 }
+            : undefined;
+        this._filterGeneration++;
         this.refresh();
     }
 
     /**
-     * Delete a category (moves all items to root)
-     * @param {string} categoryName - Category to delete
+     * Get the active filter text
+     * @returns {string|undefined}
      */
-    deleteCategory(categoryName) {
-        // Move items to root
-        this.items.forEach(item => {
-            if (item.category === categoryName) {
-                delete item.category;
-            }
-        });
+    getFilter() {
+        return this.filter?.text;
+    }
 
-        // Remove from category list
-        const index = this.categoryList.indexOf(categoryName);
-        if (index > -1) {
-            this.categoryList.splice(index, 1);
-        }
+    getTreeItem(element) {
+        return element;
+    }
 
+    /**
+     * Set the default sort order and refresh
+     * @param {'ASC' | 'DESC' | 'NATURAL' | 'EXTENSION' | 'MODIFIED' | 'CREATED' | 'SIZE' | 'MANUAL'} order
+     */
+    setSortOrder(order) {
+        this.sortOrder = order;
+        // Smart categories without their own order use this one
+        this._smartResults.clear();
         this.refresh();
     }
 
     /**
-     * Set all favorites (for restoration from config)
-     * @param {Array<{path: string, type: string, category?: string}>} items
+     * Set the category sort orders of a scope (for restoring from config)
+     * @param {Object<string, string>} orders - Category path -> sort order
+     * @param {'workspace' | 'global'} scope
      */
-    setItems(items) {
-        this.items = items || [];
+    setCategorySortOrders(orders, scope = SCOPE_WORKSPACE) {
+        this.categorySortOrders[scope] = { ...(orders || {}) };
         this.refresh();
     }
 
     /**
-     * Get current favorites
-     * @returns {Array<{path: string, type: string, category?: string}>}
+     * Get the category sort orders of a scope
+     * @param {'workspace' | 'global'} scope
+     * @returns {Object<string, string>}
      */
-    getItems() {
-        return [...this.items];
+    getCategorySortOrders(scope = SCOPE_WORKSPACE) {
+        return { ...this.categorySortOrders[scope] };
     }
 
     /**
-     * Handle drag start - only allow dragging Resource items (not favorites or categories)
-     * @param {(FavoriteItem|Resource|Category)[]} source - Items being dragged
-     * @param {vscode.DataTransfer} dataTransfer - Data transfer object
-     * @param {vscode.CancellationToken} token - Cancellation token
+     * Set or clear (inherit again) the sort order of a category
+     * @param {string} categoryName - Category path
+     * @param {'workspace' | 'global'} scope
+     * @param {string|undefined} order - undefined = inherit from the parent category / default
      */
-    async handleDrag(source, dataTransfer, token) {
-        // Only allow dragging Resource items (files/folders inside expanded favorites)
-        // FavoriteItem and Category should NOT be draggable - use Move Up/Down instead
-        const resourceItems = source.filter(item => item instanceof Resource);
-
-        if (resourceItems.length === 0) {
-            return; // Don't set data transfer - prevents drag
+    setCategorySortOrder(categoryName, scope, order) {
+        if (order) {
+            this.categorySortOrders[scope][categoryName] = order;
+        } else {
+            delete this.categorySortOrders[scope][categoryName];
         }
+        this.refresh();
+    }
 
-        const data = resourceItems.map(item => ({
-            path: item.value,
-            isFavorite: false,
-            type: item.contextValue === 'resource.dir' ? 'folder' : 'file'
-        }));
+    /**
+     * Get the sort order of a favorites level - the category's own, else the nearest ancestor's, else the default
+     * @param {string|undefined} categoryName - Category path (undefined = root level)
+     * @param {'workspace' | 'global'} scope
+     * @returns {string}
+     */
+    getLevelSortOrder(categoryName, scope = SCOPE_WORKSPACE) {
+        const orders = this.categorySortOrders[scope];
+        const owner = categoryName && getCategoryLineage(categoryName).reverse().find(categoryPath => orders[categoryPath]);
+        return owner ? orders[owner] : this.sortOrder;
+    }
 
-        dataTransfer.set(
-            'application/vnd.code.tree.yasinFavorites',
-            new vscode.DataTransferItem(data)
-        );
+    /**
+     * Get the sort order of the contents of a favorite folder (its own, else the default)
+     * @param {string} favoritePath
+     * @returns {string}
+     */
+    getFolderSortOrder(favoritePath) {
+        const folder = this.items.find(item => item.type === 'folder' && item.path === favoritePath);
+        return folder?.sortOrder || this.sortOrder;
     }
 
     /**
-     * Handle drop - move files/folders within the filesystem
-     * Only Resource items can be dragged, so we only handle filesystem moves
-     * @param {FavoriteItem|Resource|Category|undefined} target - Drop target
-     * @param {vscode.DataTransfer} dataTransfer - Data transfer with dragged items
-     * @param {vscode.CancellationToken} token - Cancellation token
+     * Check whether any level is sorted by the given order
+     * @param {string} order
+     * @returns {boolean}
      */
-    async handleDrop(target, dataTransfer, token) {
-        const draggedItem = dataTransfer.get('application/vnd.code.tree.yasinFavorites');
-        if (!draggedItem) return;
+    _isSortOrderUsed(order) {
+        return this.sortOrder === order ||
+            this.items.some(item => item.sortOrder === order) ||
+            Object.values(this.categorySortOrders).some(orders => Object.values(orders).includes(order));
+    }
 
-        const sourceItems = draggedItem.value;
-        if (!sourceItems || sourceItems.length === 0) return;
+    /**
+     * Show or hide excluded files in folder listings and refresh
+     * @param {boolean} show
+     */
+    setShowHiddenFiles(show) {
+        this.showHiddenFiles = show;
+        this.refresh();
+    }
+
+    /**
+     * Set category list (for restoring from config)
+     * Flat lists from older versions are valid as-is (each name is a top-level path, see migrateCategoryPath)
+     * @param {string[]} categories
+     * @param {'workspace' | 'global'} scope
+     */
+    setCategoryList(categories, scope = SCOPE_WORKSPACE) {
+        const stored = (categories || []).filter(name => typeof name === 'string');
+        const knownPaths = stored.map(name => normalizeCategoryPath(name));
+        this.categoryLists[scope] = [];
+        stored.forEach(name => this._addCategoryPath(migrateCategoryPath(name, knownPaths), scope));
+        this.refresh();
+    }
+
+    /**
+     * Get category list
+     * @param {'workspace' | 'global'} scope
+     * @returns {string[]}
+     */
+    getCategoryList(scope = SCOPE_WORKSPACE) {
+        return [...this.categoryLists[scope]];
+    }
+
+    /**
+     * Set the smart categories (for restoring from config)
+     * @param {object[]} rules
+     */
+    setSmartCategories(rules) {
+        this.smartCategories = (rules || []).filter(rule => rule?.name && rule.include).map(rule => ({ ...rule }));
+        this._smartResults.clear();
+        this.refresh();
+    }
+
+    /**
+     * Get the smart categories
+     * @returns {object[]}
+     */
+    getSmartCategories() {
+        return this.smartCategories.map(rule => ({ ...rule }));
+    }
+
+    /**
+     * Get a smart category's rule by name
+     * @param {string} name
+     * @returns {object|undefined}
+     */
+    getSmartCategory(name) {
+        const rule = this.smartCategories.find(rule => rule.name === name);
+        return rule && { ...rule };
+    }
+
+    /**
+     * Add a smart category, or replace one (e.g. after editing its rule)
+     * @param {{name: string, include: string}} rule
+     * @param {string} [oldName] - Name of the smart category to replace
+     * @returns {boolean} - false if another smart category has the name
+     */
+    saveSmartCategory(rule, oldName) {
+        if (this.smartCategories.some(other => other.name === rule.name && other.name !== oldName)) {
+            return false;
+        }
+        const index = this.smartCategories.findIndex(other => other.name === oldName);
+        if (index >= 0) {
+            this.smartCategories[index] = { ...rule };
+        } else {
+            this.smartCategories.push({ ...rule });
+        }
+        this._smartResults.delete(oldName);
+        this._smartResults.delete(rule.name);
+        this.refresh();
+        return true;
+    }
+
+    /**
+     * Delete a smart category
+     * @param {string} name
+     */
+    deleteSmartCategory(name) {
+        this.smartCategories = this.smartCategories.filter(rule => rule.name !== name);
+        this._smartResults.delete(name);
+        this.refresh();
+    }
+
+    /**
+     * Get the files of a smart category (cached until matching files change or the results expire)
+     * @param {object} rule
+     * @returns {Promise<{files: Array<{path: string, name: string}>, total: number}>}
+     */
+    _getSmartCategoryFiles(rule) {
+        const ttl = rule.modifiedWithin ? TIME_LIMITED_SMART_RESULTS_TTL_MS : SMART_RESULTS_TTL_MS;
+        const cached = this._smartResults.get(rule.name);
+        if (!cached || Date.now() - cached.searchedAt > ttl) {
+            const entry = { search: findSmartCategoryFiles(rule, this.sortOrder), searchedAt: Date.now() };
+            // A failed search is tried again next time
+            entry.search.catch(() => {
+                if (this._smartResults.get(rule.name) === entry) this._smartResults.delete(rule.name);
+            });
+            this._smartResults.set(rule.name, entry);
+            return entry.search;
+        }
+        return cached.search;
+    }
+
+    /**
+     * Add a new category (missing ancestors are created too)
+     * @param {string} name - Category path
+     * @param {'workspace' | 'global'} scope
+     * @returns {string} - Normalized category path
+     */
+    addCategory(name, scope = SCOPE_WORKSPACE) {
+        const categoryPath = this._addCategoryPath(name, scope);
+        this.refresh();
+        return categoryPath;
+    }
+
+    /**
+     * Add a category path and its ancestors to the scope's category list without refreshing
+     * @param {string} name - Category path
+     * @param {'workspace' | 'global'} scope
+     * @returns {string} - Normalized category path
+     */
+    _addCategoryPath(name, scope = SCOPE_WORKSPACE) {
+        const categoryPath = normalizeCategoryPath(name);
+        const categoryList = this.categoryLists[scope];
+        if (categoryPath) {
+            getCategoryLineage(categoryPath).forEach(p => {
+                if (!categoryList.includes(p)) {
+                    categoryList.push(p);
+                }
+            });
+        }
+        return categoryPath;
+    }
+
+    /**
+     * Get unique category names from items (legacy - categories that have items)
+     * @returns {string[]}
+     */
+    getCategories() {
+        const categories = new Set();
+        this.items.forEach(item => {
+            if (item.category) {
+                categories.add(item.category);
+            }
+        });
+        return Array.from(categories);
+    }
+
+    /**
+     * Get all categories of a scope (union of its category list and categories with items, including ancestors)
+     * @param {'workspace' | 'global'} scope
+     * @returns {string[]}
+     */
+    getAllCategories(scope = SCOPE_WORKSPACE) {
+        const categories = new Set(this.categoryLists[scope]);
+        this._getScopeItems(scope).forEach(item => {
+            if (item.category) {
+                getCategoryLineage(item.category).forEach(p => categories.add(p));
+            }
+        });
+        return Array.from(categories);
+    }
+
+    /**
+     * Get the direct sub-categories of a category
+     * @param {string|undefined} parentPath - Parent category path (undefined = root level)
+     * @param {'workspace' | 'global'} scope
+     * @returns {string[]}
+     */
+    getChildCategories(parentPath, scope = SCOPE_WORKSPACE) {
+        return this.getAllCategories(scope).filter(categoryPath => getParentCategory(categoryPath) === parentPath);
+    }
+
+    /**
+     * Get the stored favorites of one scope
+     * @param {'workspace' | 'global'} scope
+     * @returns {Array<{path: string, type: string, category?: string, scope?: string}>}
+     */
+    _getScopeItems(scope) {
+        return this.items.filter(item => getItemScope(item) === scope);
+    }
+
+    /**
+     * Get the times and size of a path for sorting
+     * @param {string} filePath
+     * @returns {Promise<{mtime: number, ctime: number, size: number}>} - zeros if not found
+     */
+    async _getStat(filePath) {
+        const stat = await statItem(filePath);
+        return stat
+            ? { mtime: stat.mtime, ctime: stat.ctime, size: stat.size }
+            : { mtime: 0, ctime: 0, size: 0 };
+    }
+
+    /**
+     * Sort stored favorites - by alias or file name, or by modification time
+     * @param {Array} items - Items to sort
+     * @param {string} order - Sort order of their level
+     * @returns {Promise<Array>} - Sorted items
+     */
+    async _sortItems(items, order) {
+        if (order === 'MANUAL' || !items || items.length === 0) {
+            return items; // Keep original order
+        }
+
+        // Pre-fetch stats to avoid repeated stat calls during sort
+        const entries = new Map(await Promise.all(items.map(async item => [item, {
+            name: item.alias || (isActionItem(item) ? item.label : getBasename(item.path)),
+            stat: needsStats(order) && item.path ? await this._getStat(item.path) : undefined
+        }])));
+        return [...items].sort((a, b) => compareEntries(entries.get(a), entries.get(b), order));
+    }
+
+    /**
+     * Get children - returns favorites/categories at root, or folder contents when element provided
+     * While filtering, only nodes that match or contain matches are returned (everything below a match is shown)
+     * @returns {Promise<vscode.TreeItem[]>}
+     */
+    async getChildren(element) {
+        const children = await this._getFilteredChildren(element);
+        this._trackNodes(element, children);
+        return children;
+    }
+
+    /**
+     * Get children of a node, applying the filter
+     * @param {vscode.TreeItem|undefined} element
+     * @returns {Promise<vscode.TreeItem[]>}
+     */
+    async _getFilteredChildren(element) {
+        const children = await this._getUnfilteredChildren(element);
+        if (!this.filter) {
+            return children;
+        }
+
+        if (element?.filterMatched) {
+            children.forEach(child => {
+                child.filterMatched = true;
+                this._setFilterId(child);
+            });
+            return children;
+        }
+
+        const result = [];
+        for (const child of children) {
+            if (this._matchesFilter(child)) {
+                child.filterMatched = true;
+            } else if (await this._containsFilterMatch(child)) {
+                child.collapsibleState = vscode.TreeItemCollapsibleState.Expanded;
+            } else {
+                continue;
+            }
+            this._setFilterId(child);
+            result.push(child);
+        }
+        return result;
+    }
+
+    /**
+     * Check whether a node's own name matches the filter (section headers never match themselves)
+     * @param {vscode.TreeItem} node
+     * @returns {boolean}
+     */
+    _matchesFilter(node) {
+        if (node instanceof FavoriteItem) {
+            return this.filter.matches(String(node.label)) || (!!node.itemPath && this.filter.matches(getBasename(node.itemPath)));
+        }
+        if (node instanceof Category || node instanceof SmartCategory || node instanceof Resource || node instanceof UsageItem) {
+            return this.filter.matches(String(node.label));
+        }
+        return false;
+    }
+
+    /**
+     * Check whether anything below a node matches the filter (cached per refresh, folder scans are limited)
+     * @param {vscode.TreeItem} node
+     * @returns {Promise<boolean>}
+     */
+    async _containsFilterMatch(node) {
+        if (node.collapsibleState === vscode.TreeItemCollapsibleState.None) {
+            return false;
+        }
+        const key = this._getNodeKey(node);
+        const filter = this.filter;
+        if (filter.cache.has(key)) {
+            return filter.cache.get(key);
+        }
+
+        let found = false;
+        const readsFolder = node instanceof Resource || node instanceof FavoriteItem;
+        if (!readsFolder || filter.scanned++ < FILTER_SCAN_LIMIT) {
+            for (const child of await this._getUnfilteredChildren(node)) {
+                if (this._matchesFilter(child) || await this._containsFilterMatch(child)) {
+                    found = true;
+                    break;
+                }
+            }
+        }
+        filter.cache.set(key, found);
+        return found;
+    }
+
+    /**
+     * Get a key identifying a node across refreshes
+     * @param {vscode.TreeItem} node
+     * @returns {string}
+     */
+    _getNodeKey(node) {
+        if (node instanceof GlobalSection) return 'global';
+        if (node instanceof WorkspaceFolderGroup) return `group/${node.groupKey}`;
+        if (node instanceof Category) return `category/${node.scope}/${node.groupKey ?? ''}/${node.name}`;
+        if (node instanceof FavoriteItem) return `favorite/${node.itemKey}`;
+        if (node instanceof ExtensionGroup) return `extension/${node.favoritePath}/${node.dirPath}/${node.extension}`;
+        if (node instanceof SmartCategory) return `smart/${node.name}`;
+        if (node instanceof Resource && node.smartCategory) return `smart/${node.smartCategory}/${node.value}`;
+        if (node instanceof SmartCategoryError) return `smart/${node.smartCategory}/error`;
+        if (node instanceof UsageSection) return `usage/${node.kind}`;
+        if (node instanceof UsageItem) return `usage/${node.kind}/${node.value}`;
+        return `resource/${node.favoritePath}/${node.value}`;
+    }
+
+    /**
+     * Give a node an id while filtering - new ids per filter make VS Code apply the expanded state
+     * (getParent and createFavoriteNode use it too, so reveal finds the same nodes)
+     * @param {vscode.TreeItem|undefined} node
+     * @returns {vscode.TreeItem|undefined}
+     */
+    _setFilterId(node) {
+        if (node && this.filter) {
+            node.id = `filter${this._filterGeneration}/${this._getNodeKey(node)}`;
+        }
+        return node;
+    }
+
+    /**
+     * Get children of a node, ignoring the filter
+     * @param {vscode.TreeItem|undefined} element
+     * @returns {Promise<vscode.TreeItem[]>}
+     */
+    async _getUnfilteredChildren(element) {
+        // Root level - usage sections and global section (if any), then workspace folder groups or
+        // root favorites and categories
+        if (!element) {
+            const result = await this._getUsageSections();
+            if (this._getScopeItems(SCOPE_GLOBAL).length > 0 || this.categoryLists[SCOPE_GLOBAL].length > 0) {
+                result.push(new GlobalSection());
+            }
+            const smartCategories = this.smartCategories.map(rule => new SmartCategory(rule));
+            if (this._isGroupingByWorkspaceFolder()) {
+                return result.concat(this._getWorkspaceFolderGroups(), smartCategories);
+            }
+            return result.concat(await this._getLevelChildren(undefined, undefined, SCOPE_WORKSPACE), smartCategories);
+        }
+
+        // Smart category - return the files matching its rule
+        if (element instanceof SmartCategory) {
+            const rule = this.smartCategories.find(rule => rule.name === element.name);
+            if (!rule) return [];
+            let files;
+            try {
+                ({ files } = await this._getSmartCategoryFiles(rule));
+            } catch (err) {
+                return [new SmartCategoryError(rule.name, err.message)];
+            }
+            return files.map(file => {
+                const resource = new Resource(file.name, vscode.TreeItemCollapsibleState.None, file.path, 'resource');
+                resource.smartCategory = rule.name;
+                resource.description = vscode.workspace.asRelativePath(vscode.Uri.joinPath(resource.resourceUri, '..'));
+                return resource;
+            });
+        }
+
+        // Usage section - return the recently or frequently opened files
+        if (element instanceof UsageSection) {
+            return (await this._getUsageEntries(element.kind)).map(entry => new UsageItem(element.kind, entry));
+        }
+
+        // Global section - return global root favorites and categories
+        if (element instanceof GlobalSection) {
+            return this._getLevelChildren(undefined, undefined, SCOPE_GLOBAL);
+        }
+
+        // Workspace folder group - return its root favorites and the categories holding its favorites
+        if (element instanceof WorkspaceFolderGroup) {
+            return this._getLevelChildren(undefined, element.groupKey, SCOPE_WORKSPACE);
+        }
+
+        // Category element - return items in that category, then sub-categories
+        if (element instanceof Category) {
+            return this._getLevelChildren(element.name, element.groupKey, element.scope);
+        }
+
+        // FavoriteItem folder - return filesystem children
+        if (element instanceof FavoriteItem && element.type === 'folder') {
+            return this._getPagedChildren(element.itemPath, element.itemPath);
+        }
+
+        // Resource directory - return filesystem children
+        if (element instanceof Resource && element.contextValue === 'resource.dir') {
+            return this._getPagedChildren(element.value, element.favoritePath);
+        }
+
+        // Extension group - return the directory's files with that extension
+        if (element instanceof ExtensionGroup) {
+            const children = await this._getFilesystemChildren(element.dirPath, element.favoritePath);
+            return children.filter(child => child.contextValue !== 'resource.dir' &&
+                getExtension(child.label) === element.extension);
+        }
+
+        return [];
+    }
+
+    /**
+     * Get the parent of a tree node (used by TreeView.reveal)
+     * @param {vscode.TreeItem} element
+     * @returns {Promise<vscode.TreeItem|undefined>} - undefined for root nodes
+     */
+    async getParent(element) {
+        return this._setFilterId(await this._getParentNode(element));
+    }
+
+    /**
+     * Create the parent node of a tree node
+     * @param {vscode.TreeItem} element
+     * @returns {Promise<vscode.TreeItem|undefined>}
+     */
+    async _getParentNode(element) {
+        if ((element instanceof Resource && element.smartCategory) || element instanceof SmartCategoryError) {
+            const rule = this.smartCategories.find(rule => rule.name === element.smartCategory);
+            return rule && new SmartCategory(rule);
+        }
+
+        if (element instanceof Resource) {
+            const dirPath = getDirname(element.value);
+            if (this.groupByExtension && element.contextValue !== 'resource.dir') {
+                return new ExtensionGroup(dirPath, element.favoritePath, getExtension(String(element.label)), 0);
+            }
+            return this._getDirectoryNode(dirPath, element.favoritePath);
+        }
+
+        if (element instanceof ShowMoreItem || element instanceof ExtensionGroup) {
+            return this._getDirectoryNode(element.dirPath, element.favoritePath);
+        }
+
+        if (element instanceof UsageItem) {
+            return new UsageSection(element.kind);
+        }
+
+        if (element instanceof FavoriteItem) {
+            const item = this.items.find(item => getItemKey(item) === element.itemKey);
+            const groupKey = item && element.scope === SCOPE_WORKSPACE && this._isGroupingByWorkspaceFolder()
+                ? this._getGroupKey(item)
+                : undefined;
+            return element.category
+                ? new Category(element.category, groupKey, element.scope)
+                : this._getLevelParent(element.scope, groupKey);
+        }
+
+        if (element instanceof Category) {
+            return element.parentName
+                ? new Category(element.parentName, element.groupKey, element.scope)
+                : this._getLevelParent(element.scope, element.groupKey);
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Create the node of a directory listed under a favorite folder (the favorite itself at the top)
+     * @param {string} dirPath
+     * @param {string} favoritePath
+     * @returns {Promise<FavoriteItem|Resource|undefined>}
+     */
+    async _getDirectoryNode(dirPath, favoritePath) {
+        if (dirPath === favoritePath) {
+            const favorite = this.items.find(item => item.type === 'folder' && item.path === dirPath);
+            return favorite && this._createFavoriteItem(favorite);
+        }
+        const node = new Resource(getBasename(dirPath), vscode.TreeItemCollapsibleState.Collapsed, dirPath, 'resource.dir');
+        node.favoritePath = favoritePath;
+        return node;
+    }
+
+    /**
+     * Get the node holding the root level of a scope / workspace folder group
+     * @param {'workspace' | 'global'} scope
+     * @param {string|undefined} groupKey
+     * @returns {GlobalSection|WorkspaceFolderGroup|undefined} - undefined for the panel root
+     */
+    _getLevelParent(scope, groupKey) {
+        if (scope === SCOPE_GLOBAL) {
+            return new GlobalSection();
+        }
+        if (groupKey !== undefined) {
+            const folder = (vscode.workspace.workspaceFolders || []).find(f => f.name === groupKey);
+            return new WorkspaceFolderGroup(groupKey, folder?.uri);
+        }
+        return undefined;
+    }
+
+    /**
+     * Create the tree node for a stored favorite (e.g. for a quick pick that opens/reveals it)
+     * @param {{path: string, type: string, category?: string}} item
+     * @returns {Promise<FavoriteItem>}
+     */
+    async createFavoriteNode(item) {
+        return this._setFilterId(await this._createFavoriteItem(item));
+    }
+
+    /**
+     * List the files inside a favorite folder, walking sub-folders breadth-first like the tree does
+     * @param {string} folderPath - Favorite folder path
+     * @param {number} limit - Maximum number of files
+     * @returns {Promise<Resource[]>}
+     */
+    async getFolderFiles(folderPath, limit) {
+        const files = [];
+        const queue = [folderPath];
+        while (queue.length > 0 && files.length < limit) {
+            const children = await this._getFilesystemChildren(queue.shift(), folderPath);
+            children.forEach(child => {
+                if (child.contextValue === 'resource.dir') {
+                    queue.push(child.value);
+                } else {
+                    files.push(child);
+                }
+            });
+        }
+        return files.slice(0, limit);
+    }
+
+    /**
+     * Get the favorites and sub-categories directly inside a category, sorted by the level's sort order
+     * (MANUAL keeps the stored order; sub-categories are only reordered by the name orders)
+     * @param {string|undefined} categoryName - Category path (undefined = root level)
+     * @param {string|undefined} groupKey - Workspace folder group to filter by (undefined = no grouping)
+     * @param {'workspace' | 'global'} scope - Scope to list
+     * @returns {Promise<(FavoriteItem|Category)[]>}
+     */
+    async _getLevelChildren(categoryName, groupKey, scope) {
+        const scopeItems = this._getScopeItems(scope);
+        const inGroup = item => groupKey === undefined || this._getGroupKey(item) === groupKey;
+
+        const order = this.getLevelSortOrder(categoryName, scope);
+        const levelItems = scopeItems.filter(item => (item.category || undefined) === categoryName && inGroup(item));
+        const result = await Promise.all((await this._sortItems(levelItems, order))
+            .map(item => this._createFavoriteItem(item)));
+
+        const childCategories = this.getChildCategories(categoryName, scope);
+        if (['ASC', 'DESC', 'NATURAL'].includes(order)) {
+            childCategories.sort((a, b) => compareEntries({ name: getCategoryName(a) }, { name: getCategoryName(b) }, order));
+        }
+        childCategories
+            // While grouping, a category only shows in the groups that own some of its favorites
+            .filter(childName => groupKey === undefined ||
+                scopeItems.some(item => isInCategory(item.category, childName) && inGroup(item)))
+            .forEach(childName => result.push(new Category(childName, groupKey, scope)));
+
+        return result;
+    }
+
+    /**
+     * Create the tree node for a stored favorite, marking missing paths
+     * @param {{path: string, type: string, category?: string}} item
+     * @param {vscode.TextDocument} [document] - Open document of a bookmark's file (saves looking it up)
+     * @returns {Promise<FavoriteItem>}
+     */
+    async _createFavoriteItem(item, document) {
+        if (item.type === 'bookmark') {
+            return this._createBookmarkItem(item, document);
+        }
+        if (isActionItem(item)) {
+            return this._createActionItem(item);
+        }
+
+        const exists = !!(await statItem(item.path));
+        const label = getBasename(item.path);
+        const collapsible = item.type === 'folder'
+            ? vscode.TreeItemCollapsibleState.Collapsed
+            : vscode.TreeItemCollapsibleState.None;
+
+        const scope = getItemScope(item);
+        const favoriteItem = new FavoriteItem(label, collapsible, item.path, item.type, item.category, scope);
+        this._applyCustomization(favoriteItem, item);
+
+        // Mark missing paths
+        if (!exists) {
+            this._markMissing(favoriteItem);
+        }
+
+        return favoriteItem;
+    }
+
+    /**
+     * Create the tree node for a bookmark - re-anchors it to its text, marks it missing if the text is gone
+     * @param {{path: string, type: 'bookmark', id: string, range: object, anchor?: string, category?: string}} item
+     * @returns {Promise<FavoriteItem>}
+     */
+    async _createBookmarkItem(item, document) {
+        const found = await resolveBookmark(item, document);
+        const label = getBookmarkLabel(getBasename(item.path), item);
+        const favoriteItem = new FavoriteItem(
+            label, vscode.TreeItemCollapsibleState.None, item.path, item.type, item.category, getItemScope(item)
+        );
+        favoriteItem.itemKey = getItemKey(item);
+        favoriteItem.iconPath = new vscode.ThemeIcon('bookmark');
+        favoriteItem.description = item.anchor;
+        favoriteItem.tooltip = `${item.path}:${item.range.startLine + 1}`;
+        favoriteItem.command = {
+            command: 'vscode.open',
+            title: 'Open Bookmark',
+            arguments: [favoriteItem.resourceUri, { selection: toRange(item) }]
+        };
+        this._applyCustomization(favoriteItem, item);
+
+        if (!found) {
+            this._markMissing(favoriteItem);
+        }
+
+        return favoriteItem;
+    }
+
+    /**
+     * Create the tree node for an action favorite - runs it on click
+     * @param {{type: 'command' | 'task' | 'link', id: string, label: string, category?: string}} item
+     * @returns {FavoriteItem}
+     */
+    _createActionItem(item) {
+        const favoriteItem = new FavoriteItem(
+            item.label, vscode.TreeItemCollapsibleState.None, undefined, item.type, item.category, getItemScope(item)
+        );
+        favoriteItem.itemKey = getItemKey(item);
+        favoriteItem.iconPath = new vscode.ThemeIcon(ACTION_ICONS[item.type]);
+        favoriteItem.description = getActionTarget(item);
+        favoriteItem.tooltip = `${item.label}\n${getActionTarget(item)}`;
+        favoriteItem.command = {
+            command: 'yasinFavorites.runAction',
+            title: 'Run',
+            arguments: [favoriteItem]
+        };
+        this._applyCustomization(favoriteItem, item);
+        return favoriteItem;
+    }
+
+    /**
+     * Apply a favorite's alias, description and icon - without either, favorites whose file names
+     * collide get the shortest distinguishing parent path as description
+     * @param {FavoriteItem} favoriteItem
+     * @param {{path: string, alias?: string, description?: string, icon?: string}} item
+     */
+    _applyCustomization(favoriteItem, item) {
+        if (item.alias) {
+            favoriteItem.label = item.alias;
+        }
+        if (item.description) {
+            favoriteItem.description = item.description;
+        } else if (!item.alias && !isActionItem(item)) {
+            const suffix = this._getDistinguishingSuffix(item);
+            if (suffix) {
+                // Bookmarks keep their line text after it
+                favoriteItem.description = favoriteItem.description ? `${suffix} · ${favoriteItem.description}` : suffix;
+            }
+        }
+        if (item.icon) {
+            if (CODICON_PATTERN.test(item.icon)) {
+                favoriteItem.iconPath = new vscode.ThemeIcon(item.icon);
+            } else {
+                favoriteItem.label = `${item.icon} ${favoriteItem.label}`;
+            }
+        }
+    }
+
+    /**
+     * Get the shortest parent path suffix that tells a favorite apart from others with the same file name
+     * @param {{path: string}} item
+     * @returns {string|undefined} - e.g. "src" or "api/src"; undefined if the name is unique
+     */
+    _getDistinguishingSuffix(item) {
+        const name = getBasename(item.path);
+        const parentSegments = itemPath => toUri(itemPath).path.split('/').filter(Boolean).slice(0, -1).reverse();
+        const others = this.items
+            .filter(other => !other.alias && !isActionItem(other) && other.path !== item.path && getBasename(other.path) === name)
+            .map(other => parentSegments(other.path).join('/') + '/');
+        if (others.length === 0) return undefined;
+
+        const own = parentSegments(item.path);
+        for (let count = 1; count < own.length; count++) {
+            const suffix = own.slice(0, count).join('/') + '/';
+            if (!others.some(other => other.startsWith(suffix))) {
+                return own.slice(0, count).reverse().join('/');
+            }
+        }
+        return own.reverse().join('/');
+    }
+
+    /**
+     * Flag a favorite whose path (or bookmark text) can't be found
+     * @param {FavoriteItem} favoriteItem
+     */
+    _markMissing(favoriteItem) {
+        favoriteItem.iconPath = new vscode.ThemeIcon('warning');
+        favoriteItem.description = '(missing)';
+        favoriteItem.contextValue = favoriteItem.scope === SCOPE_GLOBAL ? 'favorite.missing.global' : 'favorite.missing';
+    }
+
+    /**
+     * Enable/disable grouping the root by workspace folder (only applies to multi-root workspaces)
+     * @param {boolean} enabled
+     */
+    setGroupByWorkspaceFolder(enabled) {
+        this.groupByWorkspaceFolder = !!enabled;
+        this.refresh();
+    }
+
+    /**
+     * Set where folders go in folder listings and refresh
+     * @param {'first' | 'last' | 'mixed'} position
+     */
+    setFoldersPosition(position) {
+        this.foldersPosition = position || FOLDERS_LAST;
+        this.refresh();
+    }
+
+    /**
+     * Enable/disable grouping the files of expanded folders by extension and refresh
+     * @param {boolean} enabled
+     */
+    setGroupByExtension(enabled) {
+        this.groupByExtension = !!enabled;
+        this.refresh();
+    }
+
+    _isGroupingByWorkspaceFolder() {
+        return this.groupByWorkspaceFolder && (vscode.workspace.workspaceFolders?.length || 0) > 1;
+    }
+
+    /**
+     * Get the workspace folder group key for a favorite
+     * @param {{path: string}} item
+     * @returns {string} - Workspace folder name, or OUTSIDE_WORKSPACE_GROUP
+     */
+    _getGroupKey(item) {
+        // Actions belong to no folder
+        if (isActionItem(item)) return OUTSIDE_WORKSPACE_GROUP;
+        const folder = vscode.workspace.getWorkspaceFolder(toUri(item.path));
+        return folder ? folder.name : OUTSIDE_WORKSPACE_GROUP;
+    }
+
+    /**
+     * Get one group node per workspace folder that owns favorites, plus empty categories
+     * @returns {(WorkspaceFolderGroup|Category)[]}
+     */
+    _getWorkspaceFolderGroups() {
+        const workspaceItems = this._getScopeItems(SCOPE_WORKSPACE);
+        const groupKeys = new Set(workspaceItems.map(item => this._getGroupKey(item)));
+        const result = (vscode.workspace.workspaceFolders || [])
+            .filter(folder => groupKeys.has(folder.name))
+            .map(folder => new WorkspaceFolderGroup(folder.name, folder.uri));
+
+        if (groupKeys.has(OUTSIDE_WORKSPACE_GROUP)) {
+            result.push(new WorkspaceFolderGroup(OUTSIDE_WORKSPACE_GROUP));
+        }
+
+        // Empty categories belong to no group - keep them reachable at the root
+        this.getChildCategories(undefined)
+            .filter(categoryName => !workspaceItems.some(item => isInCategory(item.category, categoryName)))
+            .forEach(categoryName => result.push(new Category(categoryName)));
+
+        return result;
+    }
+
+    /**
+     * Get the tree children of a directory - one page at a time, with a "Show more…" node after it
+     * (not while filtering - matches may be anywhere in the directory)
+     * @param {string} dirPath
+     * @param {string} favoritePath
+     * @returns {Promise<(Resource|ShowMoreItem)[]>}
+     */
+    async _getPagedChildren(dirPath, favoritePath) {
+        let children = await this._getFilesystemChildren(dirPath, favoritePath);
+        if (this.groupByExtension) {
+            children = this._groupByExtension(children, dirPath, favoritePath);
+        }
+        const pageSize = this._pageSizes.get(toUri(dirPath).toString()) || this._getPageSize();
+        if (this.filter || children.length <= pageSize) {
+            return children;
+        }
+        return [
+            ...children.slice(0, pageSize),
+            new ShowMoreItem(dirPath, favoritePath, pageSize, children.length)
+        ];
+    }
+
+    /**
+     * Replace the files of a listing with one group node per extension - folders stay first or after the groups
+     * @param {Resource[]} children - Sorted listing
+     * @param {string} dirPath
+     * @param {string} favoritePath
+     * @returns {(ExtensionGroup|Resource)[]}
+     */
+    _groupByExtension(children, dirPath, favoritePath) {
+        const folders = children.filter(child => child.contextValue === 'resource.dir');
+        const counts = new Map();
+        children
+            .filter(child => child.contextValue !== 'resource.dir')
+            .forEach(child => {
+                const extension = getExtension(child.label);
+                counts.set(extension, (counts.get(extension) || 0) + 1);
+            });
+        const groups = [...counts.keys()]
+            .sort((a, b) => compareEntries({ name: a }, { name: b }, 'NATURAL'))
+            .map(extension => new ExtensionGroup(dirPath, favoritePath, extension, counts.get(extension)));
+        return this.foldersPosition === FOLDERS_FIRST ? [...folders, ...groups] : [...groups, ...folders];
+    }
+
+    /**
+     * Read a directory through the listing cache
+     * @param {string} dirPath
+     * @param {boolean} withStats - Also stat the entries (sorting by time or size)
+     * @returns {Promise<{entries: Array<[string, vscode.FileType]>, stats: Map<string, object>}>}
+     */
+    async _readDirectory(dirPath, withStats) {
+        const dirUri = toUri(dirPath);
+        const key = dirUri.toString();
+        let cached = this._directoryCache.get(key);
+        // Move it to the end - the first entries are the least recently used
+        this._directoryCache.delete(key);
+        if (!cached || cached.expiresAt < Date.now()) {
+            const listing = Promise.resolve(vscode.workspace.fs.readDirectory(dirUri))
+                .then(entries => ({ entries, stats: new Map() }));
+            // No watcher events arrive for these, so only trust them briefly
+            cached = { listing, expiresAt: isWatcherExcluded(dirUri) ? Date.now() + UNWATCHED_LISTING_TTL_MS : undefined };
+            // Don't keep failed reads - the folder may appear later
+            listing.catch(() => {
+                if (this._directoryCache.get(key) === cached) this._directoryCache.delete(key);
+            });
+        }
+        this._directoryCache.set(key, cached);
+        while (this._directoryCache.size > DIRECTORY_CACHE_LIMIT) {
+            this._directoryCache.delete(this._directoryCache.keys().next().value);
+        }
+
+        const result = await cached.listing;
+        if (withStats) {
+            await Promise.all(result.entries
+                .filter(([name]) => !result.stats.has(name))
+                .map(async ([name]) => result.stats.set(name, await this._getStat(joinItemPath(dirPath, name)))));
+        }
+        return result;
+    }
+
+    /**
+     * Get filesystem children of a directory - APPLIES exclusion rules and the favorite folder's sort order
+     * @param {string} dirPath - Directory path or URI string
+     * @param {string} favoritePath - Favorite folder the directory belongs to (for getParent)
+     * @returns {Promise<Resource[]>}
+     */
+    async _getFilesystemChildren(dirPath, favoritePath) {
+        try {
+            const sortOrder = this.getFolderSortOrder(favoritePath);
+            const { entries, stats } = await this._readDirectory(dirPath, needsStats(sortOrder));
+            const excluded = this.showHiddenFiles
+                ? new Set()
+                : await getExcludedNames(dirPath, entries, favoritePath, this._gitignoreCache);
+
+            // Stats are only read for sort orders that need them
+            const sorted = entries
+                .filter(([name]) => !excluded.has(name))
+                .map(([name, type]) => ({ name, isDir: isDirectory(type), stat: stats.get(name) }))
+                .sort((a, b) => compareFolderEntries(a, b, sortOrder, this.foldersPosition));
+
+            return sorted.map(({ name, isDir }) => {
+                const collapsibleState = isDir
+                    ? vscode.TreeItemCollapsibleState.Collapsed
+                    : vscode.TreeItemCollapsibleState.None;
+                const contextValue = isDir ? 'resource.dir' : 'resource';
+                const resource = new Resource(name, collapsibleState, joinItemPath(dirPath, name), contextValue);
+                resource.favoritePath = favoritePath;
+                return resource;
+            });
+        } catch (err) {
+            console.error('YasinFavoritesProvider.getChildren error:', err);
+            return [];
+        }
+    }
+
+    /**
+     * Check whether a favorite is already stored (in either scope)
+     * Files/folders match by path, bookmarks by path and start line - a bookmarked file can still be a favorite;
+     * actions match by id
+     * @param {{path: string, type?: string, range?: object}} entry
+     * @returns {boolean}
+     */
+    isDuplicate(entry) {
+        if (isActionItem(entry)) {
+            return this.items.some(item => item.type === entry.type && item.id === entry.id);
+        }
+        if (entry.type === 'bookmark') {
+            return this.items.some(item =>
+                item.type === 'bookmark' && item.path === entry.path && item.range.startLine === entry.range.startLine
+            );
+        }
+        return this.items.some(item => item.type !== 'bookmark' && item.path === entry.path);
+    }
+
+    /**
+     * Add a path to favorites
+     * @param {string} itemPath - Absolute path or URI string
+     * @param {'file' | 'folder'} type - Resource type
+     * @param {'workspace' | 'global'} scope - Where to store the favorite
+     * @returns {boolean} - True if added, false if duplicate
+     */
+    addFavorite(itemPath, type, scope = SCOPE_WORKSPACE) {
+        if (this.isDuplicate({ path: itemPath, type })) {
+            vscode.window.showInformationMessage('Already in favorites: ' + getBasename(itemPath));
+            return false;
+        }
+        this.items.push(scope === SCOPE_GLOBAL ? { path: itemPath, type: type, scope } : { path: itemPath, type: type });
+        this.refresh();
+        return true;
+    }
+
+    /**
+     * Add several paths to favorites at once - duplicates are skipped and returned instead of reported
+     * @param {Array<{path: string, type: 'file' | 'folder'}>} entries
+     * @param {string|undefined} categoryName - Target category path (undefined = root level)
+     * @param {'workspace' | 'global'} scope - Where to store the favorites
+     * @returns {string[]} - Paths that were already in favorites
+     */
+    addFavorites(entries, categoryName, scope = SCOPE_WORKSPACE) {
+        const duplicates = [];
+        const category = categoryName && this._addCategoryPath(categoryName, scope);
+        entries.forEach(entry => {
+            if (this.isDuplicate(entry)) {
+                duplicates.push(entry.path);
+                return;
+            }
+            const item = { path: entry.path, type: entry.type };
+            if (category) item.category = category;
+            if (scope === SCOPE_GLOBAL) item.scope = scope;
+            this.items.push(item);
+        });
+        this.refresh();
+        return duplicates;
+    }
+
+    /**
+     * Add a bookmark (see bookmarks.createBookmark)
+     * @param {{path: string, type: 'bookmark', id: string, range: object, anchor: string}} bookmark
+     * @param {'workspace' | 'global'} scope - Where to store the bookmark
+     * @returns {boolean} - True if added, false if that line is already bookmarked
+     */
+    addBookmark(bookmark, scope = SCOPE_WORKSPACE) {
+        if (this.isDuplicate(bookmark)) {
+            vscode.window.showInformationMessage(`Already bookmarked: ${getBookmarkLabel(getBasename(bookmark.path), bookmark)}`);
+            return false;
+        }
+        this.items.push(scope === SCOPE_GLOBAL ? { ...bookmark, scope } : bookmark);
+        this.refresh();
+        return true;
+    }
+
+    /**
+     * Add an action favorite (see actions.createAction)
+     * @param {{type: 'command' | 'task' | 'link', id: string, label: string}} action
+     * @param {string|undefined} categoryName - Target category path (undefined = root level)
+     * @param {'workspace' | 'global'} scope - Where to store the action
+     */
+    addAction(action, categoryName, scope = SCOPE_WORKSPACE) {
+        const item = { ...action };
+        const category = categoryName && this._addCategoryPath(categoryName, scope);
+        if (category) item.category = category;
+        if (scope === SCOPE_GLOBAL) item.scope = scope;
+        this.items.push(item);
+        this.refresh();
+    }
+
+    /**
+     * Add imported favorites (files, folders and bookmarks, with their categories), skipping duplicates
+     * @param {Array<{path: string, type: string, category?: string}>} entries - Absolute paths
+     * @param {'workspace' | 'global'} scope - Where to store the favorites
+     * @returns {number} - Number of duplicates skipped
+     */
+    importItems(entries, scope = SCOPE_WORKSPACE) {
+        let duplicates = 0;
+        entries.forEach(entry => {
+            if (this.isDuplicate(entry)) {
+                duplicates++;
+                return;
+            }
+            const { category, workspaceFolder, ...item } = entry;
+            delete item.scope;
+            // Imported category lists went through migrateCategoryPath too
+            const categoryPath = category &&
+                this._addCategoryPath(migrateCategoryPath(category, this.categoryLists[scope]), scope);
+            if (categoryPath) item.category = categoryPath;
+            if (scope === SCOPE_GLOBAL) item.scope = scope;
+            this.items.push(item);
+        });
+        this.refresh();
+        return duplicates;
+    }
+
+    /**
+     * Get stored bookmarks (live objects - edits are kept)
+     * @returns {Array<object>}
+     */
+    getBookmarks() {
+        return this.items.filter(item => item.type === 'bookmark');
+    }
+
+    /**
+     * Point favorites at a file or folder's new location - the path itself (including bookmarks in it)
+     * and every favorite stored below it
+     * @param {string} oldPath
+     * @param {string} newPath
+     * @returns {boolean} - Whether any favorite changed
+     */
+    renamePath(oldPath, newPath) {
+        const oldKey = toUri(oldPath).toString().replace(/\/$/, '');
+        let changed = false;
+        this.items.forEach(item => {
+            if (isActionItem(item) || !isSameOrInside(item.path, oldPath)) return;
+            item.path = toUri(item.path).toString().slice(oldKey.length)
+                .split('/')
+                .filter(Boolean)
+                .reduce((parentPath, segment) => joinItemPath(parentPath, decodeURIComponent(segment)), newPath);
+            changed = true;
+        });
+        if (changed) {
+            this.refresh();
+        }
+        return changed;
+    }
+
+    /**
+     * Set or clear a favorite's alias, description or icon (or an action's label and target) - empty values
+     * remove the field
+     * @param {string} itemKey
+     * @param {{alias?: string, description?: string, icon?: string, label?: string, command?: string, args?: any[], task?: string, url?: string}} changes
+     * @returns {boolean} - Whether the favorite was found
+     */
+    customizeItem(itemKey, changes) {
+        const item = this.items.find(item => getItemKey(item) === itemKey);
+        if (!item) return false;
+        Object.entries(changes).forEach(([field, value]) => {
+            if (value) {
+                item[field] = value;
+            } else {
+                delete item[field];
+            }
+        });
+        this.refresh();
+        return true;
+    }
+
+    /**
+     * Put removed favorites back at their old positions (e.g. when a delete is undone), skipping any
+     * that were added again in the meantime
+     * @param {Array<{item: object, index: number}>} entries - Favorites and their indexes when removed
+     */
+    restoreItems(entries) {
+        [...entries]
+            .sort((a, b) => a.index - b.index)
+            .filter(({ item }) => !this.items.some(existing => getItemKey(existing) === getItemKey(item)))
+            .forEach(({ item, index }) => this.items.splice(Math.min(index, this.items.length), 0, { ...item }));
+        this.refresh();
+    }
+
+    /**
+     * Remove a favorite
+     * @param {string} itemPath - Item key (the absolute path, or path#id for bookmarks)
+     */
+    removeFavorite(itemPath) {
+        const index = this.items.findIndex(item => getItemKey(item) === itemPath);
+        if (index > -1) {
+            this.items.splice(index, 1);
+            this.refresh();
+        }
+    }
+
+    /**
+     * Move item to category
+     * @param {string} itemPath - Key of item to move
+     * @param {string} categoryName - Target category path
+     */
+    moveToCategory(itemPath, categoryName) {
+        const item = this.items.find(item => getItemKey(item) === itemPath);
+        if (item) {
+            // Ensure category (and its ancestors) is in the list
+            item.category = this._addCategoryPath(categoryName, getItemScope(item));
+            this.refresh();
+        }
+    }
+
+    /**
+     * Move item to the other scope (workspace <-> global), keeping its category path
+     * @param {string} itemPath - Key of item to move
+     * @param {'workspace' | 'global'} scope - Target scope
+     */
+    moveToScope(itemPath, scope) {
+        const item = this.items.find(item => getItemKey(item) === itemPath);
+        if (item && getItemScope(item) !== scope) {
+            if (scope === SCOPE_GLOBAL) {
+                item.scope = SCOPE_GLOBAL;
+            } else {
+                delete item.scope;
+            }
+            if (item.category) {
+                this._addCategoryPath(item.category, scope);
+            }
+            this.refresh();
+        }
+    }
+
+    /**
+     * Move a category and its whole subtree under another category
+     * @param {string} categoryName - Category path to move
+     * @param {string|undefined} parentName - New parent category path (undefined = root level)
+     * @param {'workspace' | 'global'} scope
+     * @returns {boolean} - False if the move is invalid (into itself or a descendant)
+     */
+    moveCategory(categoryName, parentName, scope = SCOPE_WORKSPACE) {
+        if (parentName && isInCategory(parentName, categoryName)) {
+            return false;
+        }
+        this.renameCategory(categoryName, joinCategory(parentName, getCategoryName(categoryName)), scope);
+        return true;
+    }
+
+    /**
+     * Move favorites to a category level and position (drag and drop)
+     * @param {string[]} itemKeys - Keys of the items to move, in order
+     * @param {string|undefined} categoryName - Target category path (undefined = root level)
+     * @param {'workspace' | 'global' | undefined} scope - Target scope (undefined = keep each item's scope)
+     * @param {string|undefined} beforeKey - Insert before this item (undefined = end of the level)
+     */
+    moveItems(itemKeys, categoryName, scope, beforeKey) {
+        const moving = itemKeys
+            .map(key => this.items.find(item => getItemKey(item) === key))
+            .filter(Boolean);
+        if (moving.length === 0) return;
+
+        this.items = this.items.filter(item => !moving.includes(item));
+        moving.forEach(item => {
+            const itemScope = scope || getItemScope(item);
+            if (itemScope === SCOPE_GLOBAL) {
+                item.scope = SCOPE_GLOBAL;
+            } else {
+                delete item.scope;
+            }
+            const category = categoryName && this._addCategoryPath(categoryName, itemScope);
+            if (category) {
+                item.category = category;
+            } else {
+                delete item.category;
+            }
+        });
+
+        // Levels are filtered from the one items array, so inserting anywhere after the level keeps it last
+        const index = beforeKey ? this.items.findIndex(item => getItemKey(item) === beforeKey) : -1;
+        this.items.splice(index < 0 ? this.items.length : index, 0, ...moving);
+        this.refresh();
+    }
+
+    /**
+     * Move a category (with its subtree) under a parent and position it among its new siblings
+     * @param {string} categoryName - Category path to move
+     * @param {string|undefined} parentName - New parent category path (undefined = root level)
+     * @param {'workspace' | 'global'} scope
+     * @param {string|undefined} beforeName - Insert before this sibling category (undefined = last)
+     * @returns {boolean} - False if the move is invalid (into itself or a descendant)
+     */
+    placeCategory(categoryName, parentName, scope = SCOPE_WORKSPACE, beforeName) {
+        if (!this.moveCategory(categoryName, parentName, scope)) {
+            return false;
+        }
+        const movedName = joinCategory(parentName, getCategoryName(categoryName));
+
+        // Sibling order is the order in the category list - keep the subtree together
+        const categories = this.getAllCategories(scope);
+        const subtree = categories.filter(categoryPath => isInCategory(categoryPath, movedName));
+        const rest = categories.filter(categoryPath => !isInCategory(categoryPath, movedName));
+        const index = beforeName ? rest.indexOf(beforeName) : -1;
+        rest.splice(index < 0 ? rest.length : index, 0, ...subtree);
+        this.categoryLists[scope] = rest;
+
+        this.refresh();
+        return true;
+    }
+
+    /**
+     * Move item to root (remove category)
+     * @param {string} itemPath - Key of item to move
+     */
+    moveToRoot(itemPath) {
+        const item = this.items.find(item => getItemKey(item) === itemPath);
+        if (item) {
+            delete item.category;
+            this.refresh();
+        }
+    }
+
+    /**
+     * Rename a category - re-parents its whole subtree
+     * @param {string} oldName - Current category path
+     * @param {string} newName - New category path
+     * @param {'workspace' | 'global'} scope
+     */
+    renameCategory(oldName, newName, scope = SCOPE_WORKSPACE) {
+        newName = normalizeCategoryPath(newName);
+        if (!newName || newName === oldName) return;
+
+        const rebase = categoryPath => newName + categoryPath.slice(oldName.length);
+
+        // Update items in the subtree
+        this._getScopeItems(scope).forEach(item => {
+            if (isInCategory(item.category, oldName)) {
+                item.category = rebase(item.category);
+            }
+        });
+
+        // Update category list (keeps position, merges into an existing category of the same path)
+        const renamed = [];
+        this.getAllCategories(scope).forEach(categoryPath => {
+            const updated = isInCategory(categoryPath, oldName) ? rebase(categoryPath) : categoryPath;
+            getCategoryLineage(updated).forEach(p => {
+                if (!renamed.includes(p)) {
+                    renamed.push(p);
+                }
+            });
+        });
+        this.categoryLists[scope] = renamed;
+
+        // Sort orders move with their categories
+        const orders = {};
+        Object.entries(this.categorySortOrders[scope]).forEach(([categoryPath, order]) => {
+            orders[isInCategory(categoryPath, oldName) ? rebase(categoryPath) : categoryPath] = order;
+        });
+        this.categorySortOrders[scope] = orders;
+
+        this.refresh();
+    }
+
+    /**
+     * Delete a category and its sub-categories (moves all their items to the parent category, or root)
+     * @param {string} categoryName - Category path to delete
+     * @param {'workspace' | 'global'} scope
+     */
+    deleteCategory(categoryName, scope = SCOPE_WORKSPACE) {
+        const parentName = getParentCategory(categoryName);
+
+        // Move items up to the parent
+        this._getScopeItems(scope).forEach(item => {
+            if (isInCategory(item.category, categoryName)) {
+                if (parentName) {
+                    item.category = parentName;
+                } else {
+                    delete item.category;
+                }
+            }
+        });
+
+        // Remove the subtree from the category list
+        this.categoryLists[scope] = this.categoryLists[scope].filter(categoryPath => !isInCategory(categoryPath, categoryName));
+        Object.keys(this.categorySortOrders[scope])
+            .filter(categoryPath => isInCategory(categoryPath, categoryName))
+            .forEach(categoryPath => delete this.categorySortOrders[scope][categoryPath]);
+
+        this.refresh();
+    }
+
+    /**
+     * Set all favorites (for restoration from config)
+     * Categories are normalized like the category list (set it first), so "Docs " still finds "Docs".
+     * @param {Array<{path: string, type: string, category?: string, scope?: string}>} items
+     */
+    setItems(items) {
+        this.items = (items || []).map(item => {
+            if (!item.category) return item;
+            const category = migrateCategoryPath(item.category, this.categoryLists[getItemScope(item)]);
+            if (category === item.category) return item;
+            const migrated = { ...item };
+            if (category) {
+                migrated.category = category;
+            } else {
+                delete migrated.category;
+            }
+            return migrated;
+        });
+        this.refresh();
+    }
+
+    /**
+     * Get current favorites (both scopes)
+     * @returns {Array<{path: string, type: string, category?: string, scope?: string}>}
+     */
+    getItems() {
+        return [...this.items];
+    }
+
+    /**
+     * Handle drag start - Resource items move files on disk, favorites and categories are reordered
+     * @param {(FavoriteItem|Resource|Category)[]} source - Items being dragged
+     * @param {vscode.DataTransfer} dataTransfer - Data transfer object
+     * @param {vscode.CancellationToken} token - Cancellation token
+     */
+    async handleDrag(source, dataTransfer, token) {
+        const data = source.map(item => {
+            if (item instanceof Resource) {
+                return {
+                    path: item.value,
+                    isFavorite: false,
+                    type: item.contextValue === 'resource.dir' ? 'folder' : 'file'
+                };
+            }
+            if (item instanceof FavoriteItem) {
+                return { path: item.itemPath, key: item.itemKey, isFavorite: true, scope: item.scope };
+            }
+            if (item instanceof Category) {
+                return { name: item.name, isCategory: true, scope: item.scope };
+            }
+            return undefined;
+        }).filter(Boolean);
+
+        if (data.length === 0) {
+            return; // Don't set data transfer - prevents drag
+        }
+
+        dataTransfer.set(
+            'application/vnd.code.tree.yasinFavorites',
+            new vscode.DataTransferItem(data)
+        );
+    }
+
+    /**
+     * Handle drop - reorder favorites/categories, or move files/folders within the filesystem
+     * @param {FavoriteItem|Resource|Category|undefined} target - Drop target
+     * @param {vscode.DataTransfer} dataTransfer - Data transfer with dragged items
+     * @param {vscode.CancellationToken} token - Cancellation token
+     */
+    async handleDrop(target, dataTransfer, token) {
+        // Usage sections and smart categories list what they find - nothing can be dropped there
+        if (target instanceof UsageSection || target instanceof UsageItem || target instanceof SmartCategory) return;
+
+        const draggedItem = dataTransfer.get('application/vnd.code.tree.yasinFavorites');
+        if (!draggedItem) {
+            // Dragged in from the Explorer or an editor tab - both provide the files as text/uri-list
+            const uriList = dataTransfer.get('text/uri-list');
+            if (uriList) {
+                await this._addDroppedUris(target, await uriList.asString());
+            }
+            return;
+        }
+
+        const sourceItems = draggedItem.value;
+        if (!sourceItems || sourceItems.length === 0) return;
+
+        // Favorites and categories are reordered in the list (any Resources in a mixed selection are ignored)
+        const favorites = sourceItems.filter(item => item.isFavorite);
+        const categories = sourceItems.filter(item => item.isCategory);
+        if (favorites.length > 0 || categories.length > 0) {
+            this._dropFavorites(target, favorites, categories);
+            return;
+        }
 
         // Must have a valid drop target with a path
         if (!target || (!target.value && !target.itemPath)) {
@@ -540,40 +2194,190 @@ class YasinFavoritesProvider {
 
         // Handle dropping files onto folders (filesystem move)
         const targetPath = target.value || target.itemPath;
-        let targetFolder;
-
-        try {
-            const targetStat = fs.statSync(targetPath);
-            if (targetStat.isDirectory()) {
-                targetFolder = targetPath;
-            } else {
-                // If target is a file, use its parent folder
-                targetFolder = path.dirname(targetPath);
-            }
-        } catch (err) {
+        const targetStat = await statItem(targetPath);
+        if (!targetStat) {
             vscode.window.showErrorMessage('Invalid drop target');
             return;
         }
 
-        for (const item of sourceItems) {
-            const sourcePath = item.path;
-            const destPath = path.join(targetFolder, path.basename(sourcePath));
+        // If target is a file, use its parent folder
+        const targetFolder = isDirectory(targetStat) ? targetPath : getDirname(targetPath);
 
-            if (sourcePath === destPath) continue;
-            if (destPath.startsWith(sourcePath + path.sep)) {
-                vscode.window.showWarningMessage('Cannot move folder into itself');
-                continue;
+        // Conflicts ask Replace / Skip / Keep Both; favorites at or below moved paths follow them
+        const { steps, favoritesChanged } = await transferItems(
+            this, sourceItems.map(item => item.path), targetFolder, true
+        );
+
+        const moves = steps.filter(step => step.type === 'move');
+        if (moves.length > 0) {
+            const label = moves.length === 1 ? `Move ${getBasename(moves[0].from)}` : `Move ${moves.length} items`;
+            this._onDidPerformFileOperation.fire({ label, steps });
+        }
+        if (favoritesChanged) {
+            this._onDidChangeFavorites.fire();
+        }
+        this.refresh();
+    }
+
+    /**
+     * Reorder dragged favorites and categories
+     * Favorites: dropped on a favorite they take its place in that level, on a category they move into it.
+     * Categories: dropped on a category they take its place among its siblings, on a favorite they move to its level.
+     * Anywhere else (empty space, section headers) moves them to the root level.
+     * @param {vscode.TreeItem|undefined} target - Drop target
+     * @param {Array<{key: string, scope: string}>} favorites - Dragged favorites
+     * @param {Array<{name: string, scope: string}>} categories - Dragged categories
+     */
+    _dropFavorites(target, favorites, categories) {
+        if (target instanceof Resource) {
+            vscode.window.showWarningMessage('Cannot drop favorites on files - drop on a favorite or favorites folder');
+            return;
+        }
+
+        let scope;
+        if (target instanceof FavoriteItem || target instanceof Category) {
+            scope = target.scope;
+        } else if (target instanceof GlobalSection) {
+            scope = SCOPE_GLOBAL;
+        }
+        let changed = false;
+
+        if (favorites.length > 0) {
+            const keys = favorites.map(item => item.key);
+            if (target instanceof FavoriteItem) {
+                if (!keys.includes(target.itemKey)) {
+                    this.moveItems(keys, target.category, scope, this._getDropBeforeKey(keys, target));
+                    changed = true;
+                }
+            } else {
+                this.moveItems(keys, target instanceof Category ? target.name : undefined, scope);
+                changed = true;
             }
+        }
 
-            try {
-                fs.renameSync(sourcePath, destPath);
-            } catch (err) {
-                vscode.window.showErrorMessage(`Failed to move ${path.basename(sourcePath)}: ${err.message}`);
+        if (categories.length > 0) {
+            // Categories keep their favorites' scope - use Move to Global/Workspace Favorites for those
+            if (scope && categories.some(category => category.scope !== scope)) {
+                vscode.window.showWarningMessage('Cannot drag favorites folders between global and workspace favorites');
+            } else {
+                let parentName;
+                let beforeName;
+                if (target instanceof Category) {
+                    parentName = target.parentName;
+                    beforeName = this._getDropBeforeCategory(categories.map(category => category.name), target);
+                } else if (target instanceof FavoriteItem) {
+                    parentName = target.category;
+                }
+                categories
+                    .filter(category => !target || category.name !== target.name)
+                    .forEach(category => {
+                        if (this.placeCategory(category.name, parentName, category.scope, beforeName)) {
+                            changed = true;
+                        } else {
+                            vscode.window.showWarningMessage('Cannot move a folder into itself');
+                        }
+                    });
             }
         }
 
-        this.refresh();
+        if (changed) {
+            this._onDidChangeFavorites.fire();
+        }
+    }
+
+    /**
+     * Get the item to insert dragged favorites before - moving down within a level lands after the target
+     * @param {string[]} keys - Keys of the dragged favorites
+     * @param {FavoriteItem} target - Favorite dropped on
+     * @returns {string|undefined} - undefined = end of the level
+     */
+    _getDropBeforeKey(keys, target) {
+        const levelKeys = this._getScopeItems(target.scope)
+            .filter(item => (item.category || undefined) === target.category)
+            .map(item => getItemKey(item));
+        const sourceIndex = levelKeys.indexOf(keys[0]);
+        const targetIndex = levelKeys.indexOf(target.itemKey);
+        if (sourceIndex > -1 && sourceIndex < targetIndex) {
+            return levelKeys.slice(targetIndex + 1).find(key => !keys.includes(key));
+        }
+        return target.itemKey;
+    }
+
+    /**
+     * Get the sibling to insert dragged categories before - moving down among siblings lands after the target
+     * @param {string[]} names - Paths of the dragged categories
+     * @param {Category} target - Category dropped on
+     * @returns {string|undefined} - undefined = last sibling
+     */
+    _getDropBeforeCategory(names, target) {
+        const siblings = this.getChildCategories(target.parentName, target.scope);
+        const sourceIndex = siblings.indexOf(names[0]);
+        const targetIndex = siblings.indexOf(target.name);
+        if (sourceIndex > -1 && sourceIndex < targetIndex) {
+            return siblings.slice(targetIndex + 1).find(name => !names.includes(name));
+        }
+        return target.name;
+    }
+
+    /**
+     * Add files dropped from outside the panel as favorites
+     * Dropping on a category (or a favorite inside it) adds them to that category, anywhere else to the root
+     * @param {vscode.TreeItem|undefined} target - Drop target
+     * @param {string} uriListText - text/uri-list content (one URI per line, # lines are comments)
+     */
+    async _addDroppedUris(target, uriListText) {
+        const uris = uriListText
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'))
+            .map(line => vscode.Uri.parse(line));
+        if (uris.length === 0) return;
+
+        let categoryName;
+        let scope = SCOPE_WORKSPACE;
+        if (target instanceof Category) {
+            categoryName = target.name;
+            scope = target.scope;
+        } else if (target instanceof FavoriteItem) {
+            categoryName = target.category;
+            scope = target.scope;
+        } else if (target instanceof GlobalSection) {
+            scope = SCOPE_GLOBAL;
+        }
+
+        const entries = await Promise.all(uris.map(async uri => {
+            const itemPath = toItemPath(uri);
+            return { path: itemPath, type: isDirectory(await statItem(itemPath)) ? 'folder' : 'file' };
+        }));
+
+        const duplicates = this.addFavorites(entries, categoryName, scope);
+        if (duplicates.length < entries.length) {
+            this._onDidChangeFavorites.fire();
+        }
+
+        // Report duplicates once for the whole drop
+        if (duplicates.length === 1) {
+            vscode.window.showInformationMessage('Already in favorites: ' + getBasename(duplicates[0]));
+        } else if (duplicates.length > 1) {
+            vscode.window.showInformationMessage(
+                `${duplicates.length} items already in favorites: ${duplicates.map(p => getBasename(p)).join(', ')}`
+            );
+        }
     }
 }
 
 module.exports = YasinFavoritesProvider;
+module.exports.FavoriteItem = FavoriteItem;
+module.exports.Category = Category;
+module.exports.WorkspaceFolderGroup = WorkspaceFolderGroup;
+module.exports.GlobalSection = GlobalSection;
+module.exports.getItemScope = getItemScope;
+module.exports.SCOPE_WORKSPACE = SCOPE_WORKSPACE;
+module.exports.SCOPE_GLOBAL = SCOPE_GLOBAL;
+module.exports.Resource = Resource;
+module.exports.ShowMoreItem = ShowMoreItem;
+module.exports.ExtensionGroup = ExtensionGroup;
+module.exports.SmartCategory = SmartCategory;
+module.exports.SmartCategoryError = SmartCategoryError;
+module.exports.UsageSection = UsageSection;
+module.exports.UsageItem = UsageItem;
@@ -0,0 +1,96 @@
+/**
+ * Action favorites - favorites that do something instead of pointing at a file:
+ *   { type: 'command', id, label, command, args? } - runs a VS Code command with the stored arguments
+ *   { type: 'task', id, label, task }               - runs the workspace task with that name
+ *   { type: 'link', id, label, url }                - opens a URL with env.openExternal
+ * They have no path, so getItemKey() keys them by type and id.
+ */
+const vscode = require('vscode');
+const { createBookmarkId } = require('./bookmarks');
+
+const ACTION_TYPES = ['command', 'task', 'link'];
+
+// Icon per action type (Set Icon... overrides it like for files)
+const ACTION_ICONS = {
+    command: 'symbol-event',
+    task: 'tasklist',
+    link: 'link-external'
+};
+
+/**
+ * Check whether a stored favorite (or a favorite type) is an action
+ * @param {{type?: string}|string} itemOrType
+ * @returns {boolean}
+ */
+function isActionItem(itemOrType) {
+    return ACTION_TYPES.includes(typeof itemOrType === 'string' ? itemOrType : itemOrType?.type);
+}
+
+/**
+ * Create an action favorite
+ * @param {'command' | 'task' | 'link'} type
+ * @param {{label: string, command?: string, args?: any[], task?: string, url?: string}} fields
+ * @returns {object}
+ */
+function createAction(type, fields) {
+    return { type, id: createBookmarkId(), ...fields };
+}
+
+/**
+ * Describe what an action runs or opens, e.g. for descriptions and tooltips
+ * @param {{type: string, command?: string, args?: any[], task?: string, url?: string}} item
+ * @returns {string}
+ */
+function getActionTarget(item) {
+    switch (item.type) {
+        case 'command':
+            return item.args?.length ? `${item.command} ${JSON.stringify(item.args)}` : item.command;
+        case 'task':
+            return `Task: ${item.task}`;
+        default:
+            return item.url;
+    }
+}
+
+/**
+ * Find a workspace task by name - also accepts "source: name" as shown by Run Task
+ * @param {string} name
+ * @returns {Promise<vscode.Task|undefined>}
+ */
+async function findTask(name) {
+    const tasks = await vscode.tasks.fetchTasks();
+    return tasks.find(task => task.name === name) ||
+        tasks.find(task => `${task.source}: ${task.name}` === name);
+}
+
+/**
+ * Run an action favorite
+ * @param {{type: string, command?: string, args?: any[], task?: string, url?: string}} item
+ */
+async function runAction(item) {
+    switch (item.type) {
+        case 'command':
+            await vscode.commands.executeCommand(item.command, ...(item.args || []));
+            break;
+        case 'task': {
+            const task = await findTask(item.task);
+            if (!task) {
+                throw new Error(`Task "${item.task}" not found`);
+            }
+            await vscode.tasks.executeTask(task);
+            break;
+        }
+        case 'link':
+            await vscode.env.openExternal(vscode.Uri.parse(item.url));
+            break;
+    }
+}
+
+module.exports = {
+    ACTION_TYPES,
+    ACTION_ICONS,
+    isActionItem,
+    createAction,
+    getActionTarget,
+    runAction
+};
@@ -0,0 +1,184 @@
+/**
+ * Bookmark helpers - a bookmark favorite pins a file plus a line/selection range:
+ * { path, type: 'bookmark', id, range: { startLine, startCharacter, endLine, endCharacter }, anchor }
+ * `anchor` is the trimmed text of the start line, used to find the bookmark again after edits.
+ */
+const vscode = require('vscode');
+const { toUri } = require('./uris');
+
+/**
+ * Get the unique key of a stored favorite - the path, plus the bookmark id for bookmarks
+ * (a file can be a favorite and have several bookmarks at once); action favorites have no path
+ * and are keyed by type and id (see actions.js)
+ * @param {{path?: string, type: string, id?: string}} item
+ * @returns {string}
+ */
+function getItemKey(item) {
+    if (item.type === 'bookmark') return `${item.path}#${item.id}`;
+    return item.path ?? `${item.type}:${item.id}`;
+}
+
+/**
+ * Create a new unique bookmark id
+ * @returns {string}
+ */
+function createBookmarkId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+/**
+ * Create a bookmark for a selection in a document
+ * @param {string} itemPath - Stored path of the document
+ * @param {vscode.TextDocument} document
+ * @param {vscode.Selection} selection
+ * @returns {{path: string, type: 'bookmark', id: string, range: object, anchor: string}}
+ */
+function createBookmark(itemPath, document, selection) {
+    return {
+        path: itemPath,
+        type: 'bookmark',
+        id: createBookmarkId(),
+        range: {
+            startLine: selection.start.line,
+            startCharacter: selection.start.character,
+            endLine: selection.end.line,
+            endCharacter: selection.end.character
+        },
+        anchor: document.lineAt(selection.start.line).text.trim()
+    };
+}
+
+/**
+ * Get the vscode.Range of a bookmark
+ * @param {{range: object}} bookmark
+ * @returns {vscode.Range}
+ */
+function toRange(bookmark) {
+    const r = bookmark.range;
+    return new vscode.Range(r.startLine, r.startCharacter, r.endLine, r.endCharacter);
+}
+
+/**
+ * Get the tree label of a bookmark, e.g. "utils.js:12" or "utils.js:12-18"
+ * @param {string} basename
+ * @param {{range: object}} bookmark
+ * @returns {string}
+ */
+function getBookmarkLabel(basename, bookmark) {
+    const { startLine, endLine } = bookmark.range;
+    return endLine > startLine
+        ? `${basename}:${startLine + 1}-${endLine + 1}`
+        : `${basename}:${startLine + 1}`;
+}
+
+/**
+ * Move a bookmark by a number of lines
+ */
+function shiftBookmark(bookmark, delta) {
+    bookmark.range.startLine += delta;
+    bookmark.range.endLine += delta;
+}
+
+/**
+ * Read the lines of a file - prefers the open (possibly unsaved) document
+ * @param {vscode.Uri} uri
+ * @returns {Promise<string[]>}
+ */
+async function readLines(uri) {
+    const open = vscode.workspace.textDocuments.find(d => d.uri.toString() === uri.toString());
+    if (open) {
+        return open.getText().split(/\r?\n/);
+    }
+    const data = await vscode.workspace.fs.readFile(uri);
+    return new TextDecoder().decode(data).split(/\r?\n/);
+}
+
+/**
+ * Find a bookmark's anchor text again - updates bookmark.range in place when the text moved
+ * @param {{path: string, range: object, anchor?: string}} bookmark
+ * @param {vscode.TextDocument} [document] - The bookmarked file's open document, if the caller has it
+ * @returns {Promise<boolean>} - false if the file or the anchor text can't be found
+ */
+async function resolveBookmark(bookmark, document) {
+    let lines;
+    try {
+        lines = document ? document.getText().split(/\r?\n/) : await readLines(toUri(bookmark.path));
+    } catch (e) {
+        return false;
+    }
+
+    const { startLine } = bookmark.range;
+    if (!bookmark.anchor) {
+        return startLine < lines.length;
+    }
+    if (lines[startLine]?.trim() === bookmark.anchor) {
+        return true;
+    }
+
+    // Anchor moved - pick the matching line nearest to where it used to be
+    let best = -1;
+    lines.forEach((line, i) => {
+        if (line.trim() === bookmark.anchor && (best < 0 || Math.abs(i - startLine) < Math.abs(best - startLine))) {
+            best = i;
+        }
+    });
+    if (best < 0) {
+        return false;
+    }
+    shiftBookmark(bookmark, best - startLine);
+    return true;
+}
+
+/**
+ * Shift bookmarks of an edited document when lines are inserted or removed above/inside them - edits before
+ * the start position (e.g. Enter at the start of its line) move a bookmark, edits after the end position
+ * (e.g. Enter at the end of its last line) leave it alone
+ * @param {Array<object>} bookmarks - Stored bookmark items (updated in place)
+ * @param {vscode.TextDocumentChangeEvent} event
+ * @returns {boolean} - true if any bookmark moved
+ */
+function applyDocumentChange(bookmarks, event) {
+    const documentUri = event.document.uri.toString();
+    let changed = false;
+
+    bookmarks
+        .filter(bookmark => toUri(bookmark.path).toString() === documentUri)
+        .forEach(bookmark => {
+            event.contentChanges.forEach(change => {
+                const added = (change.text.match(/\n/g) || []).length;
+                const removed = change.range.end.line - change.range.start.line;
+                const delta = added - removed;
+                const { start, end } = change.range;
+                const { startLine, endLine } = bookmark.range;
+                if (delta === 0) return;
+
+                // A bookmark without a selection covers its whole line, wherever the cursor was
+                const isLine = startLine === endLine && bookmark.range.startCharacter === bookmark.range.endCharacter;
+                const startCharacter = isLine ? 0 : bookmark.range.startCharacter;
+                const endCharacter = isLine ? 0 : bookmark.range.endCharacter;
+                if (end.line < startLine || (end.line === startLine && end.character <= startCharacter)) {
+                    // Edit above the bookmark - move it
+                    shiftBookmark(bookmark, delta);
+                } else if (start.line > endLine || (start.line === endLine && start.character >= endCharacter)) {
+                    // Edit below the bookmark
+                    return;
+                } else {
+                    // Edit inside the bookmark - grow/shrink it (resolveBookmark re-anchors the start)
+                    bookmark.range.endLine = Math.max(startLine, endLine + delta);
+                }
+                changed = true;
+            });
+        });
+
+    return changed;
+}
+
+module.exports = {
+    getItemKey,
+    createBookmarkId,
+    createBookmark,
+    toRange,
+    getBookmarkLabel,
+    resolveBookmark,
+    applyDocumentChange
+};
@@ -0,0 +1,102 @@
+/**
+ * Category path helpers - categories nest by path, e.g. "Backend/Payments/Tests".
+ * A flat category name from older versions is simply a top-level path; see migrateCategoryPath()
+ * for flat names that contain "/".
+ */
+
+// Separator between segments of a nested category path, e.g. "Backend/Payments/Tests"
+const CATEGORY_SEPARATOR = '/';
+
+// Stands in for "/" in flat category names from older versions ("CI/CD" becomes "CI∕CD", DIVISION SLASH)
+const LEGACY_SEPARATOR = '\u2215';
+
+/**
+ * Normalize a category path - trims each segment and drops empty ones
+ * @param {string} categoryPath
+ * @returns {string}
+ */
+function normalizeCategoryPath(categoryPath) {
+    return (categoryPath || '')
+        .split(CATEGORY_SEPARATOR)
+        .map(segment => segment.trim())
+        .filter(Boolean)
+        .join(CATEGORY_SEPARATOR);
+}
+
+/**
+ * Normalize a stored category path, keeping flat names from older versions in one folder
+ * Stored lists always contain the ancestors of nested paths, so a path whose parent is not among the
+ * known paths is an old flat name like "CI/CD" - its "/" is replaced instead of nesting it as "CI" › "CD".
+ * @param {string} categoryPath
+ * @param {string[]} knownPaths - Normalized paths of the stored category list
+ * @returns {string}
+ */
+function migrateCategoryPath(categoryPath, knownPaths) {
+    const normalized = normalizeCategoryPath(categoryPath);
+    const parent = getParentCategory(normalized);
+    if (!parent || knownPaths.includes(parent)) {
+        return normalized;
+    }
+    return categoryPath.trim().split(CATEGORY_SEPARATOR).join(LEGACY_SEPARATOR);
+}
+
+/**
+ * Get the parent of a category path
+ * @param {string} categoryPath
+ * @returns {string|undefined} - undefined for top-level categories
+ */
+function getParentCategory(categoryPath) {
+    const index = categoryPath.lastIndexOf(CATEGORY_SEPARATOR);
+    return index > -1 ? categoryPath.slice(0, index) : undefined;
+}
+
+/**
+ * Get the last segment (display name) of a category path
+ * @param {string} categoryPath
+ * @returns {string}
+ */
+function getCategoryName(categoryPath) {
+    return categoryPath.slice(categoryPath.lastIndexOf(CATEGORY_SEPARATOR) + 1);
+}
+
+/**
+ * Join a parent category path and a child name
+ * @param {string|undefined} parentPath
+ * @param {string} name
+ * @returns {string}
+ */
+function joinCategory(parentPath, name) {
+    return normalizeCategoryPath(parentPath ? parentPath + CATEGORY_SEPARATOR + name : name);
+}
+
+/**
+ * Check whether a category path is the given category or nested inside it
+ * @param {string|undefined} categoryPath
+ * @param {string} ancestorPath
+ * @returns {boolean}
+ */
+function isInCategory(categoryPath, ancestorPath) {
+    if (!categoryPath) return false;
+    return categoryPath === ancestorPath || categoryPath.startsWith(ancestorPath + CATEGORY_SEPARATOR);
+}
+
+/**
+ * Get a category path and all of its ancestors, outermost first
+ * @param {string} categoryPath
+ * @returns {string[]}
+ */
+function getCategoryLineage(categoryPath) {
+    const segments = categoryPath.split(CATEGORY_SEPARATOR);
+    return segments.map((_, i) => segments.slice(0, i + 1).join(CATEGORY_SEPARATOR));
+}
+
+module.exports = {
+    CATEGORY_SEPARATOR,
+    normalizeCategoryPath,
+    migrateCategoryPath,
+    getParentCategory,
+    getCategoryName,
+    joinCategory,
+    isInCategory,
+    getCategoryLineage
+};
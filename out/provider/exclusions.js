@@ -0,0 +1,231 @@
+/**
+ * Exclusion rules for listing folder contents - files.exclude, yasinFavorites.exclude and (optionally)
+ * .gitignore files. Exclude globs are matched against the path relative to the owning workspace folder
+ * (or the favorite folder, outside the workspace); .gitignore rules against the path relative to the
+ * .gitignore file, like git does. Rules only hide entries of the listed directory, so the contents of a
+ * favorited folder are shown even if the folder itself is ignored.
+ * Search results (smart folders, Locate) are checked with filterExcludedUris() - one excluded folder on
+ * the way down hides a file there.
+ */
+const vscode = require('vscode');
+const path = require('path');
+const { toUri, toItemPath } = require('./uris');
+const { globToRegExp } = require('./glob');
+
+// Compiled exclude globs by pattern
+const compiledGlobs = new Map();
+
+/**
+ * Compile an exclude glob once - a leading "./" or "/" is dropped
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function getCompiledGlob(pattern) {
+    if (!compiledGlobs.has(pattern)) {
+        compiledGlobs.set(pattern, globToRegExp(pattern.replace(/^\.?\//, '')));
+    }
+    return compiledGlobs.get(pattern);
+}
+
+/**
+ * Get the enabled exclude globs for a workspace folder (files.exclude plus yasinFavorites.exclude)
+ * @param {vscode.Uri|undefined} folderUri
+ * @returns {Array<{regExp: RegExp, when?: string}>}
+ */
+function getExcludeGlobs(folderUri) {
+    const filesExclude = vscode.workspace.getConfiguration('files', folderUri).get('exclude') || {};
+    const ownExclude = vscode.workspace.getConfiguration('yasinFavorites', folderUri).get('exclude') || {};
+    const globs = [];
+    Object.entries({ ...filesExclude, ...ownExclude }).forEach(([pattern, value]) => {
+        if (!value) return;
+        globs.push({ regExp: getCompiledGlob(pattern), when: typeof value === 'object' ? value.when : undefined });
+    });
+    return globs;
+}
+
+/**
+ * Parse a .gitignore file
+ * @param {string} text
+ * @returns {Array<{regExp: RegExp, negated: boolean, dirOnly: boolean}>}
+ */
+function parseGitignore(text) {
+    return text.split(/\r?\n/).map(line => {
+        let pattern = line.replace(/([^\\])\s+$/, '$1');
+        if (!pattern.trim() || pattern.startsWith('#')) return undefined;
+
+        const negated = pattern.startsWith('!');
+        if (negated) pattern = pattern.slice(1);
+        pattern = pattern.replace(/^\\([#!])/, '$1');
+
+        const dirOnly = pattern.endsWith('/');
+        if (dirOnly) pattern = pattern.slice(0, -1);
+
+        // A slash at the start or in the middle anchors the pattern to the .gitignore's folder
+        const anchored = pattern.includes('/');
+        pattern = pattern.replace(/^\//, '');
+        return { regExp: globToRegExp(anchored ? pattern : `**/${pattern}`), negated, dirOnly };
+    }).filter(Boolean);
+}
+
+/**
+ * Read the .gitignore of a directory and whether it is a repository root
+ * @param {vscode.Uri} dirUri
+ * @param {Map} cache - Per-refresh cache
+ * @returns {Promise<{rules: Array, isRepoRoot: boolean}>}
+ */
+async function readGitignore(dirUri, cache) {
+    const key = dirUri.toString();
+    if (!cache.has(key)) {
+        cache.set(key, (async () => {
+            let rules = [];
+            try {
+                const data = await vscode.workspace.fs.readFile(vscode.Uri.joinPath(dirUri, '.gitignore'));
+                rules = parseGitignore(new TextDecoder().decode(data));
+            } catch (e) {
+                // No .gitignore here
+            }
+            let isRepoRoot = false;
+            try {
+                await vscode.workspace.fs.stat(vscode.Uri.joinPath(dirUri, '.git'));
+                isRepoRoot = true;
+            } catch (e) {
+                // Not the repository root
+            }
+            return { rules, isRepoRoot };
+        })());
+    }
+    return cache.get(key);
+}
+
+/**
+ * Collect the .gitignore files that apply to a directory - from the repository root down to the directory
+ * @param {vscode.Uri} dirUri
+ * @param {Map} cache
+ * @returns {Promise<Array<{base: vscode.Uri, rules: Array}>>} - Empty outside a git repository
+ */
+async function getGitignoreChain(dirUri, cache) {
+    const chain = [];
+    let current = dirUri;
+    for (;;) {
+        const { rules, isRepoRoot } = await readGitignore(current, cache);
+        chain.unshift({ base: current, rules });
+        if (isRepoRoot) return chain;
+
+        const parent = current.with({ path: path.posix.dirname(current.path) });
+        if (parent.path === current.path) return [];
+        current = parent;
+    }
+}
+
+/**
+ * Check .gitignore rules for an entry - the last matching rule wins, deeper files override parent ones
+ */
+function isGitIgnored(chain, dirUri, name, isDir) {
+    let ignored = false;
+    chain.forEach(({ base, rules }) => {
+        const relativeDir = path.posix.relative(base.path, dirUri.path);
+        const relativePath = relativeDir ? `${relativeDir}/${name}` : name;
+        rules.forEach(rule => {
+            if ((!rule.dirOnly || isDir) && rule.regExp.test(relativePath)) {
+                ignored = !rule.negated;
+            }
+        });
+    });
+    return ignored;
+}
+
+/**
+ * Get the names of the entries of a directory that should be hidden
+ * @param {string} dirPath - Listed directory (path or URI string)
+ * @param {Array<[string, vscode.FileType]>} entries - Its readDirectory() entries
+ * @param {string} favoritePath - Favorite folder being listed (base for paths outside the workspace)
+ * @param {Map} cache - Per-refresh cache for .gitignore lookups
+ * @returns {Promise<Set<string>>}
+ */
+async function getExcludedNames(dirPath, entries, favoritePath, cache) {
+    const dirUri = toUri(dirPath);
+    const folder = vscode.workspace.getWorkspaceFolder(dirUri);
+    const baseUri = folder ? folder.uri : toUri(favoritePath || dirPath);
+    const relativeDir = path.posix.relative(baseUri.path, dirUri.path);
+
+    const globs = getExcludeGlobs(folder?.uri);
+    const useGitignore = vscode.workspace.getConfiguration('yasinFavorites', folder?.uri).get('useGitignore');
+    const chain = useGitignore ? await getGitignoreChain(dirUri, cache) : [];
+    const names = new Set(entries.map(([name]) => name));
+
+    const excluded = new Set();
+    entries.forEach(([name, type]) => {
+        const relativePath = relativeDir ? `${relativeDir}/${name}` : name;
+        const globMatch = globs.some(glob => glob.regExp.test(relativePath) &&
+            // { "when": "$(basename).ts" } - only hide if that sibling exists
+            (!glob.when || names.has(glob.when.replace('$(basename)', name.replace(/\.[^.]*$/, '')))));
+        if (globMatch || isGitIgnored(chain, dirUri, name, (type & vscode.FileType.Directory) !== 0)) {
+            excluded.add(name);
+        }
+    });
+    return excluded;
+}
+
+/**
+ * Check whether changes to a directory's entries go unreported because files.watcherExclude covers them
+ * (e.g. node_modules/<package>) - cached listings of such directories can't rely on watcher events
+ * @param {vscode.Uri} dirUri
+ * @returns {boolean}
+ */
+function isWatcherExcluded(dirUri) {
+    const folder = vscode.workspace.getWorkspaceFolder(dirUri);
+    const watcherExclude = vscode.workspace.getConfiguration('files', folder?.uri).get('watcherExclude') || {};
+    const relativeDir = folder ? path.posix.relative(folder.uri.path, dirUri.path) : dirUri.path.replace(/^\//, '');
+    // Test a path inside the directory - patterns like **/node_modules/*/** only cover what is below a folder
+    const entryPath = relativeDir ? `${relativeDir}/_` : '_';
+    return Object.entries(watcherExclude).some(([pattern, value]) => value && getCompiledGlob(pattern).test(entryPath));
+}
+
+/**
+ * Drop workspace.findFiles results that folder listings would hide - findFiles applies files.exclude and
+ * search.exclude, but not yasinFavorites.exclude or .gitignore files
+ * @param {vscode.Uri[]} uris
+ * @param {Map} [cache] - Cache for .gitignore lookups
+ * @returns {Promise<vscode.Uri[]>}
+ */
+async function filterExcludedUris(uris, cache = new Map()) {
+    // Excluded entry names per directory - the directory is read once, so `when` siblings are known
+    const excludedByDir = new Map();
+    const getExcluded = dirUri => {
+        const key = dirUri.toString();
+        if (!excludedByDir.has(key)) {
+            excludedByDir.set(key, (async () => {
+                let entries = [];
+                try {
+                    entries = await vscode.workspace.fs.readDirectory(dirUri);
+                } catch (e) {
+                    // Gone since the search
+                }
+                return getExcludedNames(toItemPath(dirUri), entries, undefined, cache);
+            })());
+        }
+        return excludedByDir.get(key);
+    };
+
+    const kept = [];
+    for (const uri of uris) {
+        const folder = vscode.workspace.getWorkspaceFolder(uri);
+        let current = uri;
+        let excluded = false;
+        while (folder && !excluded && current.path !== folder.uri.path) {
+            const parent = current.with({ path: path.posix.dirname(current.path) });
+            excluded = (await getExcluded(parent)).has(path.posix.basename(current.path));
+            current = parent;
+        }
+        if (!excluded) {
+            kept.push(uri);
+        }
+    }
+    return kept;
+}
+
+module.exports = {
+    getExcludedNames,
+    isWatcherExcluded,
+    filterExcludedUris
+};
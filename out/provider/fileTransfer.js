@@ -0,0 +1,223 @@
+/**
+ * Copy/move helpers for paste and drag-and-drop - like the Explorer, an existing destination asks to
+ * Replace, Skip or Keep Both (optionally for all remaining conflicts), copying into the same folder
+ * creates "name copy.ext", and moves across devices fall back to copy-then-delete.
+ * Moves and new files are applied as WorkspaceEdits, so refactoring participants run as in the Explorer -
+ * an edit cancelled in the refactoring preview or vetoed by a participant is not applied at all.
+ * Completed operations are returned as undo journal steps (see journal.js).
+ */
+const vscode = require('vscode');
+const path = require('path');
+const fs = require('fs').promises;
+const { toUri, getBasename, getDirname, joinItemPath, isSameOrInside, statItem, isDirectory } = require('./uris');
+
+/**
+ * Check whether a local file or folder and a destination are on different devices (a rename fails with EXDEV)
+ * @param {string} sourcePath
+ * @param {string} destPath
+ * @returns {Promise<boolean>}
+ */
+async function isCrossDevice(sourcePath, destPath) {
+    const sourceUri = toUri(sourcePath);
+    const destDirUri = toUri(getDirname(destPath));
+    if (sourceUri.scheme !== 'file' || destDirUri.scheme !== 'file') return false;
+    try {
+        const [source, destDir] = await Promise.all([fs.stat(sourceUri.fsPath), fs.stat(destDirUri.fsPath)]);
+        return source.dev !== destDir.dev;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Apply a file operation as a refactoring WorkspaceEdit - language servers update imports
+ * (onWillRenameFiles), open editors follow and other extensions' participants run
+ * @param {(edit: vscode.WorkspaceEdit) => void} build - Adds the file operation to the edit
+ * @returns {Promise<boolean>} - false if it wasn't applied (VS Code doesn't say why)
+ */
+async function applyFileEdit(build) {
+    const edit = new vscode.WorkspaceEdit();
+    build(edit);
+    return vscode.workspace.applyEdit(edit, { isRefactoring: true });
+}
+
+/**
+ * Throw if a destination is taken - a failed edit doesn't tell an existing destination from a cancel
+ * @param {string} destPath
+ * @param {string} [sourcePath] - A case-only rename finds the source itself on case-insensitive file systems
+ */
+async function assertDestinationFree(destPath, sourcePath) {
+    if (sourcePath && sourcePath.toLowerCase() === destPath.toLowerCase()) return;
+    if (await statItem(destPath)) {
+        throw new Error(`${getBasename(destPath)} already exists`);
+    }
+}
+
+/**
+ * Move or rename a file or folder like the Explorer does - a move across devices, which the edit can't do,
+ * falls back to copy-then-delete
+ * @param {string} sourcePath
+ * @param {string} destPath
+ * @returns {Promise<boolean>} - false if the move was cancelled or vetoed (nothing changed)
+ * @throws {Error} If the destination already exists
+ */
+async function moveItem(sourcePath, destPath) {
+    await assertDestinationFree(destPath, sourcePath);
+    const applied = await applyFileEdit(edit => {
+        edit.renameFile(toUri(sourcePath), toUri(destPath), { overwrite: false });
+    });
+    if (applied) return true;
+
+    if (!(await statItem(sourcePath))) {
+        // Moved after all (e.g. by a participant), or gone before we got to it
+        if (await statItem(destPath)) return true;
+        throw new Error(`${getBasename(sourcePath)} no longer exists`);
+    }
+    if (!(await isCrossDevice(sourcePath, destPath))) return false;
+
+    await vscode.workspace.fs.copy(toUri(sourcePath), toUri(destPath), { overwrite: false });
+    await vscode.workspace.fs.delete(toUri(sourcePath), { recursive: true, useTrash: false });
+    return true;
+}
+
+/**
+ * Create an empty file like the Explorer does (see moveItem)
+ * @param {string} filePath - Must not exist yet
+ * @returns {Promise<boolean>} - false if the creation was cancelled or vetoed (nothing changed)
+ * @throws {Error} If the file already exists
+ */
+async function createFile(filePath) {
+    await assertDestinationFree(filePath);
+    return applyFileEdit(edit => {
+        edit.createFile(toUri(filePath), { overwrite: false, ignoreIfExists: false });
+    });
+}
+
+/**
+ * Get a free "name copy.ext" / "name copy 2.ext" path next to a path
+ * @param {string} itemPath - Path that is taken
+ * @param {boolean} isFolder - Folders keep dots in their name
+ * @returns {Promise<string>}
+ */
+async function getCopyPath(itemPath, isFolder) {
+    const name = getBasename(itemPath);
+    const extension = isFolder ? '' : path.extname(name);
+    const stem = name.slice(0, name.length - extension.length).replace(/ copy( \d+)?$/, '');
+    for (let i = 1; ; i++) {
+        const candidate = joinItemPath(getDirname(itemPath), `${stem} copy${i > 1 ? ` ${i}` : ''}${extension}`);
+        if (!(await statItem(candidate))) {
+            return candidate;
+        }
+    }
+}
+
+/**
+ * Ask what to do about an existing destination
+ * @param {string} destPath
+ * @param {number} remaining - Conflicts left including this one
+ * @returns {Promise<{action: 'replace'|'skip'|'keepBoth', all: boolean}|undefined>} - undefined = cancel
+ */
+async function askConflict(destPath, remaining) {
+    const choices = [
+        { label: '$(replace) Replace', action: 'replace', all: false },
+        { label: '$(debug-step-over) Skip', action: 'skip', all: false },
+        { label: '$(files) Keep Both', description: 'Adds " copy" to the name', action: 'keepBoth', all: false }
+    ];
+    if (remaining > 1) {
+        choices.push(
+            { label: `Apply to all ${remaining} conflicts`, kind: vscode.QuickPickItemKind.Separator },
+            { label: '$(replace-all) Replace All', action: 'replace', all: true },
+            { label: '$(debug-step-over) Skip All', action: 'skip', all: true },
+            { label: '$(files) Keep Both for All', action: 'keepBoth', all: true }
+        );
+    }
+    return vscode.window.showQuickPick(choices, {
+        placeHolder: `"${getBasename(destPath)}" already exists in "${getBasename(getDirname(destPath))}"`,
+        ignoreFocusOut: true
+    });
+}
+
+/**
+ * Copy or move files and folders into a folder, resolving name conflicts
+ * Favorites at or below moved paths follow them (provider.renamePath) and listings are invalidated.
+ * @param {import('./YasinFavoritesProvider')} provider
+ * @param {string[]} sourcePaths
+ * @param {string} targetDir
+ * @param {boolean} move - Move (cut, drag) instead of copy
+ * @returns {Promise<{steps: object[], favoritesChanged: boolean}>} - Journal steps of what was done
+ */
+async function transferItems(provider, sourcePaths, targetDir, move) {
+    const steps = [];
+    let favoritesChanged = false;
+
+    // Destinations that exist (moving a file onto itself is not a conflict)
+    const plans = [];
+    for (const sourcePath of sourcePaths) {
+        const sourceStat = await statItem(sourcePath);
+        if (!sourceStat) continue;
+        const destPath = joinItemPath(targetDir, getBasename(sourcePath));
+        if (move && sourcePath === destPath) continue;
+        if (move && isSameOrInside(destPath, sourcePath)) {
+            vscode.window.showWarningMessage(`Cannot move ${getBasename(sourcePath)} into itself`);
+            continue;
+        }
+        plans.push({ sourcePath, destPath, isFolder: isDirectory(sourceStat), exists: !!(await statItem(destPath)) });
+    }
+
+    let remaining = plans.filter(plan => plan.exists && plan.sourcePath !== plan.destPath).length;
+    let decision;
+    for (const plan of plans) {
+        let { destPath } = plan;
+        const name = getBasename(plan.sourcePath);
+        try {
+            if (plan.sourcePath === destPath) {
+                // Copy into its own folder
+                destPath = await getCopyPath(destPath, plan.isFolder);
+            } else if (plan.exists) {
+                const choice = decision || await askConflict(destPath, remaining);
+                remaining--;
+                if (!choice) break;
+                if (choice.all) decision = choice;
+
+                if (choice.action === 'skip') continue;
+                if (choice.action === 'keepBoth') {
+                    destPath = await getCopyPath(destPath, plan.isFolder);
+                } else {
+                    if (isSameOrInside(plan.sourcePath, destPath)) {
+                        vscode.window.showWarningMessage(`Cannot replace ${getBasename(destPath)} with an item inside it`);
+                        continue;
+                    }
+                    // Replaced items go to the trash, so Undo can bring them back
+                    const destUri = toUri(destPath);
+                    const trashed = destUri.scheme === 'file';
+                    const destIsFolder = isDirectory(await statItem(destPath));
+                    await vscode.workspace.fs.delete(destUri, { recursive: true, useTrash: trashed });
+                    provider.invalidatePath(destUri);
+                    steps.push({ type: 'delete', path: destPath, isFolder: destIsFolder, trashed, deletedAt: Date.now(), favorites: [] });
+                }
+            }
+
+            if (move) {
+                // Cancelled in the refactoring preview - leave the rest where it is too
+                if (!(await moveItem(plan.sourcePath, destPath))) break;
+                provider.invalidatePath(toUri(plan.sourcePath));
+                favoritesChanged = provider.renamePath(plan.sourcePath, destPath) || favoritesChanged;
+                steps.push({ type: 'move', from: plan.sourcePath, to: destPath });
+            } else {
+                await vscode.workspace.fs.copy(toUri(plan.sourcePath), toUri(destPath), { overwrite: false });
+                steps.push({ type: 'copy', from: plan.sourcePath, to: destPath });
+            }
+            provider.invalidatePath(toUri(destPath));
+        } catch (err) {
+            vscode.window.showErrorMessage(`Failed to ${move ? 'move' : 'copy'} ${name}: ${err.message}`);
+        }
+    }
+
+    return { steps, favoritesChanged };
+}
+
+module.exports = {
+    moveItem,
+    createFile,
+    transferItems
+};
@@ -0,0 +1,108 @@
+/**
+ * Git branch helpers - read the current branch straight from the repository files
+ * (.git/HEAD, refs/heads, packed-refs) without running git or touching the network.
+ */
+const vscode = require('vscode');
+
+/**
+ * Read a text file, returning undefined if it doesn't exist
+ * @param {vscode.Uri} uri
+ * @returns {Promise<string|undefined>}
+ */
+async function readText(uri) {
+    try {
+        return new TextDecoder().decode(await vscode.workspace.fs.readFile(uri));
+    } catch (e) {
+        return undefined;
+    }
+}
+
+/**
+ * Resolve a path written in a git file (absolute, or relative to the file's directory)
+ * @param {vscode.Uri} baseUri
+ * @param {string} gitPath
+ * @returns {vscode.Uri}
+ */
+function resolveGitPath(baseUri, gitPath) {
+    return /^([a-zA-Z]:)?[\\/]/.test(gitPath)
+        ? baseUri.with({ path: vscode.Uri.file(gitPath).path })
+        : vscode.Uri.joinPath(baseUri, gitPath);
+}
+
+/**
+ * Find the git directory of a workspace folder - `.git` is a directory, or a file pointing
+ * to it (`gitdir: ...`) in worktrees and submodules
+ * @param {vscode.Uri} folderUri
+ * @returns {Promise<vscode.Uri|undefined>} - undefined if the folder is not a git repository
+ */
+async function findGitDir(folderUri) {
+    const dotGit = vscode.Uri.joinPath(folderUri, '.git');
+    let stat;
+    try {
+        stat = await vscode.workspace.fs.stat(dotGit);
+    } catch (e) {
+        return undefined;
+    }
+    if (stat.type & vscode.FileType.Directory) {
+        return dotGit;
+    }
+
+    const match = /^gitdir:\s*(.+?)\s*$/m.exec((await readText(dotGit)) || '');
+    if (!match) return undefined;
+    return resolveGitPath(folderUri, match[1]);
+}
+
+/**
+ * Read the checked out branch
+ * @param {vscode.Uri} gitDir
+ * @returns {Promise<string|undefined>} - Branch name, undefined for a detached HEAD
+ */
+async function readBranch(gitDir) {
+    const head = await readText(vscode.Uri.joinPath(gitDir, 'HEAD'));
+    const match = /^ref:\s*refs\/heads\/(.+?)\s*$/m.exec(head || '');
+    return match ? match[1] : undefined;
+}
+
+/**
+ * List the local branches (loose refs and packed-refs)
+ * @param {vscode.Uri} gitDir
+ * @returns {Promise<string[]>} - Sorted branch names
+ */
+async function getLocalBranches(gitDir) {
+    const branches = new Set();
+
+    // Worktrees keep their refs in the main repository's git directory
+    const commonDir = ((await readText(vscode.Uri.joinPath(gitDir, 'commondir'))) || '').trim();
+    const refsDir = commonDir ? resolveGitPath(gitDir, commonDir) : gitDir;
+
+    const readRefs = async (dirUri, prefix) => {
+        let entries;
+        try {
+            entries = await vscode.workspace.fs.readDirectory(dirUri);
+        } catch (e) {
+            return;
+        }
+        for (const [name, type] of entries) {
+            if (type & vscode.FileType.Directory) {
+                await readRefs(vscode.Uri.joinPath(dirUri, name), prefix + name + '/');
+            } else {
+                branches.add(prefix + name);
+            }
+        }
+    };
+    await readRefs(vscode.Uri.joinPath(refsDir, 'refs', 'heads'), '');
+
+    const packed = (await readText(vscode.Uri.joinPath(refsDir, 'packed-refs'))) || '';
+    packed.split(/\r?\n/).forEach(line => {
+        const match = /^[0-9a-f]+ refs\/heads\/(.+)$/.exec(line.trim());
+        if (match) branches.add(match[1]);
+    });
+
+    return Array.from(branches).sort((a, b) => a.localeCompare(b));
+}
+
+module.exports = {
+    findGitDir,
+    readBranch,
+    getLocalBranches
+};
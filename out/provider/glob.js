@@ -0,0 +1,106 @@
+/**
+ * Glob helpers - a small glob to RegExp conversion supporting *, **, ?, [...] and {a,b}
+ * (the subset used by files.exclude and typical name filters)
+ */
+
+/**
+ * Check whether a pattern uses glob syntax
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function hasGlobChars(pattern) {
+    return /[*?[\]{}]/.test(pattern);
+}
+
+/**
+ * Convert a glob to an anchored RegExp - `*` and `?` don't cross `/`, `**` does
+ * @param {string} glob
+ * @param {string} [flags] - RegExp flags, e.g. 'i'
+ * @returns {RegExp}
+ */
+function globToRegExp(glob, flags) {
+    let source = '';
+    let braceDepth = 0;
+
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*') {
+            if (glob[i + 1] === '*') {
+                i++;
+                if (glob[i + 1] === '/') {
+                    // "**/" - any number of leading folders, including none
+                    i++;
+                    source += '(?:.*/)?';
+                } else {
+                    source += '.*';
+                }
+            } else {
+                source += '[^/]*';
+            }
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const end = glob.indexOf(']', i + 1);
+            if (end < 0) {
+                source += '\\[';
+            } else {
+                const range = glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+                source += `[${range}]`;
+                i = end;
+            }
+        } else if (char === '{') {
+            braceDepth++;
+            source += '(?:';
+        } else if (char === '}' && braceDepth > 0) {
+            braceDepth--;
+            source += ')';
+        } else if (char === ',' && braceDepth > 0) {
+            source += '|';
+        } else {
+            source += char.replace(/[.+^$()|\\{}\]]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${source}$`, flags);
+}
+
+/**
+ * Check whether a glob compiles
+ * @param {string} glob
+ * @returns {string|undefined} - Why it doesn't (e.g. "Unterminated group"), undefined if it does
+ */
+function getGlobError(glob) {
+    try {
+        globToRegExp(glob);
+        return undefined;
+    } catch (e) {
+        // Drop the "Invalid regular expression: /…/:" prefix - the user wrote a glob, not that RegExp
+        return e.message.replace(/^.*: /, '');
+    }
+}
+
+/**
+ * Create a case-insensitive name matcher - a glob if the text uses glob syntax, otherwise a substring.
+ * A glob that doesn't compile yet (e.g. `*.{js` while still typing) falls back to the substring match
+ * @param {string} text
+ * @returns {(name: string) => boolean}
+ */
+function createNameMatcher(text) {
+    if (hasGlobChars(text)) {
+        try {
+            const regExp = globToRegExp(text, 'i');
+            return name => regExp.test(name);
+        } catch (e) {
+            // Incomplete glob - match the raw text instead
+        }
+    }
+    const lower = text.toLowerCase();
+    return name => name.toLowerCase().includes(lower);
+}
+
+module.exports = {
+    hasGlobChars,
+    globToRegExp,
+    getGlobError,
+    createNameMatcher
+};
@@ -0,0 +1,250 @@
+/**
+ * Import/export helpers - favorites files are plain JSON:
+ * { format: 'yasinFavorites', version: 1, items, categories, globalItems?, globalCategories? }
+ * `items` are stored like yasinFavorites.items (paths relative to their workspace folder),
+ * `globalItems` like yasinFavorites.globalItems (absolute paths). Command, task and link favorites have no path.
+ * Other extensions' storage files are converted to the same shape on import.
+ */
+const path = require('path');
+const { isUriString, toUri, getBasename } = require('./uris');
+const { createBookmarkId, getBookmarkLabel } = require('./bookmarks');
+const { normalizeCategoryPath, migrateCategoryPath, getParentCategory, getCategoryName } = require('./categoryPath');
+const { isActionItem, getActionTarget } = require('./actions');
+
+const EXPORT_FORMAT = 'yasinFavorites';
+const EXPORT_VERSION = 1;
+
+/**
+ * Create the JSON export of favorites
+ * @param {{items: object[], categories: string[], globalItems: object[], globalCategories: string[]}} data
+ * @returns {string}
+ */
+function toExportJson(data) {
+    const exported = { format: EXPORT_FORMAT, version: EXPORT_VERSION, items: data.items, categories: data.categories };
+    if (data.globalItems.length > 0 || data.globalCategories.length > 0) {
+        exported.globalItems = data.globalItems;
+        exported.globalCategories = data.globalCategories;
+    }
+    return JSON.stringify(exported, null, 4) + '\n';
+}
+
+/**
+ * Get a Markdown link target for a favorite - relative to the Markdown file when both are local files
+ * @param {{path: string, type: string, range?: object}} item
+ * @param {vscode.Uri} markdownUri - Where the Markdown file is written
+ * @returns {string}
+ */
+function getMarkdownLink(item, markdownUri) {
+    let link;
+    if (!isUriString(item.path) && markdownUri.scheme === 'file') {
+        link = path.relative(path.dirname(markdownUri.fsPath), item.path)
+            .split(path.sep)
+            .map(segment => encodeURIComponent(segment))
+            .join('/') || '.';
+    } else {
+        link = toUri(item.path).toString();
+    }
+
+    if (item.type === 'bookmark') {
+        const { startLine, endLine } = item.range;
+        link += endLine > startLine ? `#L${startLine + 1}-L${endLine + 1}` : `#L${startLine + 1}`;
+    }
+    return link;
+}
+
+/**
+ * Create the Markdown export - a nested list in panel order, favorites folders in bold
+ * @param {Array<{title: string, items: object[], categories: string[]}>} sections - One per scope (absolute paths)
+ * @param {vscode.Uri} markdownUri - Where the Markdown file is written
+ * @returns {string}
+ */
+function toMarkdown(sections, markdownUri) {
+    const lines = ['# Favorites', ''];
+    const escape = text => text.replace(/([\\[\]*_`])/g, '\\$1');
+
+    const writeLevel = (section, categoryName, indent) => {
+        section.items
+            .filter(item => (item.category || undefined) === categoryName)
+            .forEach(item => {
+                if (isActionItem(item)) {
+                    const label = escape(item.alias || item.label);
+                    if (item.type === 'link') {
+                        lines.push(`${indent}- [${label}](${item.url})`);
+                    } else {
+                        const target = item.type === 'task' ? `task \`${item.task}\`` : `\`${getActionTarget(item)}\``;
+                        lines.push(`${indent}- ${label}: ${target}`);
+                    }
+                    return;
+                }
+                const basename = getBasename(item.path);
+                const label = item.alias || (item.type === 'bookmark' ? getBookmarkLabel(basename, item) : basename);
+                lines.push(`${indent}- [${escape(label)}](${getMarkdownLink(item, markdownUri)})`);
+            });
+        section.categories
+            .filter(categoryPath => getParentCategory(categoryPath) === categoryName)
+            .forEach(categoryPath => {
+                lines.push(`${indent}- **${escape(getCategoryName(categoryPath))}**`);
+                writeLevel(section, categoryPath, indent + '  ');
+            });
+    };
+
+    sections.forEach(section => {
+        if (sections.length > 1) {
+            lines.push(`## ${section.title}`, '');
+        }
+        writeLevel(section, undefined, '');
+        lines.push('');
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Parse JSON that may contain comments and trailing commas (settings.json style)
+ * @param {string} text
+ * @returns {any}
+ */
+function parseJsonWithComments(text) {
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        const stripped = text
+            .replace(/("(?:[^"\\]|\\.)*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (match, string) => string || '')
+            .replace(/,(\s*[}\]])/g, '$1');
+        return JSON.parse(stripped);
+    }
+}
+
+/**
+ * Convert a category list from a file, dropping invalid entries
+ */
+function toCategoryList(categories) {
+    const names = (Array.isArray(categories) ? categories : []).filter(name => typeof name === 'string');
+    const knownPaths = names.map(name => normalizeCategoryPath(name));
+    return names
+        .map(name => migrateCategoryPath(name, knownPaths))
+        .filter(Boolean);
+}
+
+/**
+ * Check whether an action favorite from a file has a label and what it runs or opens
+ */
+function isValidAction(item) {
+    const target = { command: item.command, task: item.task, link: item.url }[item.type];
+    return typeof item.label === 'string' && typeof target === 'string' &&
+        (item.type !== 'command' || item.args === undefined || Array.isArray(item.args));
+}
+
+/**
+ * Keep the valid favorites of a Yasin Favorites list
+ */
+function toItemList(items) {
+    return (Array.isArray(items) ? items : [])
+        .filter(item => item && (isActionItem(item) ? isValidAction(item) : typeof item.path === 'string' &&
+            (item.type !== 'bookmark' || (item.range && typeof item.range.startLine === 'number'))))
+        .map(({ scope, ...item }) => (item.type === 'bookmark' || isActionItem(item)) && !item.id
+            ? { ...item, id: createBookmarkId() }
+            : item);
+}
+
+/**
+ * "Favorites" extension (favorites.resources) - entries are paths, or { filePath, group } in newer versions
+ * Groups become favorites folders; the "Default" group is the root.
+ */
+function fromFavoritesExtension(resources) {
+    const items = [];
+    resources.forEach(resource => {
+        const filePath = typeof resource === 'string' ? resource : resource?.filePath;
+        if (typeof filePath !== 'string') return;
+        const item = { path: filePath };
+        const group = typeof resource === 'object' && normalizeCategoryPath(resource.group || '');
+        if (group && group !== 'Default') {
+            item.category = group;
+        }
+        items.push(item);
+    });
+    const categories = [...new Set(items.map(item => item.category).filter(Boolean))];
+    return { format: 'Favorites', items, categories };
+}
+
+/**
+ * "Bookmarks" extension (.vscode/bookmarks.json) - { files: [{ path, bookmarks: [{ line, column }] }] }
+ * Older versions stored bare line numbers; multi-root paths start with $ROOTPATH$.
+ */
+function fromBookmarksExtension(files) {
+    const items = [];
+    files.forEach(file => {
+        if (typeof file?.path !== 'string' || !Array.isArray(file.bookmarks)) return;
+        const filePath = file.path.replace(/^\$ROOTPATH\$[\\/]?/, '');
+        file.bookmarks.forEach(bookmark => {
+            const line = typeof bookmark === 'number' ? bookmark : bookmark?.line;
+            if (typeof line !== 'number' || line < 0) return;
+            const column = bookmark?.column || 0;
+            items.push({
+                path: filePath,
+                type: 'bookmark',
+                id: createBookmarkId(),
+                range: { startLine: line, startCharacter: column, endLine: line, endCharacter: column },
+                anchor: ''
+            });
+        });
+    });
+    return { format: 'Bookmarks', items, categories: [] };
+}
+
+/**
+ * Parse a favorites file - a Yasin Favorites export, settings.json, or another extension's storage file
+ * Paths may be relative (to their workspace folder) and files/folders may have no type yet.
+ * @param {string} text - File content
+ * @returns {{format: string, items: object[], categories: string[], globalItems?: object[], globalCategories?: string[]}|undefined}
+ *          undefined if the format is not recognized
+ */
+function parseFavoritesFile(text) {
+    let data;
+    try {
+        data = parseJsonWithComments(text);
+    } catch (e) {
+        return undefined;
+    }
+    if (!data || typeof data !== 'object') return undefined;
+
+    // Yasin Favorites export
+    if (data.format === EXPORT_FORMAT) {
+        return {
+            format: 'Yasin Favorites',
+            items: toItemList(data.items),
+            categories: toCategoryList(data.categories),
+            globalItems: toItemList(data.globalItems),
+            globalCategories: toCategoryList(data.globalCategories)
+        };
+    }
+
+    // settings.json containing Yasin Favorites settings
+    if (Array.isArray(data['yasinFavorites.items']) || Array.isArray(data['yasinFavorites.globalItems'])) {
+        return {
+            format: 'Yasin Favorites settings',
+            items: toItemList(data['yasinFavorites.items']),
+            categories: toCategoryList(data['yasinFavorites.categories']),
+            globalItems: toItemList(data['yasinFavorites.globalItems']),
+            globalCategories: toCategoryList(data['yasinFavorites.globalCategories'])
+        };
+    }
+
+    // "Favorites" extension - settings.json or its separate storage file
+    const resources = data['favorites.resources'] || data.resources;
+    if (Array.isArray(resources)) {
+        return fromFavoritesExtension(resources);
+    }
+
+    // "Bookmarks" extension
+    if (Array.isArray(data.files)) {
+        return fromBookmarksExtension(data.files);
+    }
+
+    return undefined;
+}
+
+module.exports = {
+    toExportJson,
+    toMarkdown,
+    parseFavoritesFile
+};
@@ -0,0 +1,205 @@
+/**
+ * FileOperationJournal - undo/redo for file operations done in the FAVORITES panel
+ * Each entry is { label, steps }; steps are undone in reverse order and redone in order:
+ *   { type: 'create', path, isFolder }  - New File / New Folder, undone by moving it to the trash
+ *   { type: 'move', from, to }          - rename, cut-paste, drag-drop, undone by moving it back
+ *   { type: 'copy', from, to }          - copy-paste, undone by moving the copy to the trash
+ *   { type: 'delete', path, isFolder, trashed, deletedAt, favorites }
+ *                                       - undone by restoring it from the trash (if it went there)
+ * Favorites follow moves (provider.renamePath) and the favorites removed by a delete come back with it.
+ * Moves and new files are refactoring edits (see fileTransfer.js); cancelling one stops the undo/redo, and an
+ * operation whose first step was cancelled stays on its stack.
+ */
+const vscode = require('vscode');
+const { toUri, getBasename, statItem } = require('./uris');
+const { getItemKey } = require('./bookmarks');
+const { restoreFromTrash } = require('./trash');
+const { moveItem, createFile } = require('./fileTransfer');
+
+// Number of operations that can be undone
+const JOURNAL_LIMIT = 50;
+
+class FileOperationJournal {
+    /**
+     * @param {import('./YasinFavoritesProvider')} provider
+     */
+    constructor(provider) {
+        this.provider = provider;
+        this.undoStack = [];
+        this.redoStack = [];
+
+        // Fired when undo/redo availability changes
+        this._onDidChange = new vscode.EventEmitter();
+        this.onDidChange = this._onDidChange.event;
+    }
+
+    /**
+     * Record a completed operation - clears the redo stack
+     * @param {string} label - e.g. "Rename app.js"
+     * @param {object[]} steps
+     */
+    record(label, steps) {
+        if (steps.length === 0) return;
+        this.undoStack.push({ label, steps });
+        if (this.undoStack.length > JOURNAL_LIMIT) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this._onDidChange.fire();
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Undo the last operation - if a step fails the operation is dropped (it may be partly undone)
+     * @returns {Promise<{label: string}|undefined>} - The undone operation, undefined if there is none
+     */
+    async undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return undefined;
+        try {
+            let undone = 0;
+            for (const step of [...entry.steps].reverse()) {
+                if (!(await this._undoStep(step))) {
+                    this._notApplied(entry, undone, this.undoStack);
+                }
+                undone++;
+            }
+            this.redoStack.push(entry);
+        } finally {
+            this._onDidChange.fire();
+        }
+        return entry;
+    }
+
+    /**
+     * Redo the last undone operation - if a step fails the operation is dropped
+     * @returns {Promise<{label: string}|undefined>} - The redone operation, undefined if there is none
+     */
+    async redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return undefined;
+        try {
+            let redone = 0;
+            for (const step of entry.steps) {
+                if (!(await this._redoStep(step))) {
+                    this._notApplied(entry, redone, this.redoStack);
+                }
+                redone++;
+            }
+            this.undoStack.push(entry);
+        } finally {
+            this._onDidChange.fire();
+        }
+        return entry;
+    }
+
+    /**
+     * Stop an undo/redo whose step was cancelled - an untouched operation goes back on its stack
+     * @param {{label: string}} entry
+     * @param {number} done - Steps already undone/redone
+     * @param {object[]} stack - Stack the entry was taken from
+     */
+    _notApplied(entry, done, stack) {
+        if (done === 0) {
+            stack.push(entry);
+        }
+        throw new Error(`${entry.label} was cancelled`);
+    }
+
+    /**
+     * Reverse one step
+     * @param {object} step
+     * @returns {Promise<boolean>} - false if it was cancelled (nothing changed)
+     */
+    async _undoStep(step) {
+        switch (step.type) {
+            case 'create':
+                await this._trash(step.path);
+                break;
+            case 'move':
+                return this._move(step.to, step.from);
+            case 'copy':
+                await this._trash(step.to);
+                break;
+            case 'delete': {
+                const name = getBasename(step.path);
+                if (!step.trashed) {
+                    throw new Error(`${name} was deleted permanently`);
+                }
+                if (!(await restoreFromTrash(step.path, step.deletedAt))) {
+                    throw new Error(`${name} couldn't be found in the trash - restore it from there`);
+                }
+                this.provider.invalidatePath(toUri(step.path));
+                this.provider.restoreItems(step.favorites);
+                break;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Perform one step again
+     * @param {object} step
+     * @returns {Promise<boolean>} - false if it was cancelled (nothing changed)
+     */
+    async _redoStep(step) {
+        switch (step.type) {
+            case 'create': {
+                const uri = toUri(step.path);
+                if (await statItem(step.path)) {
+                    throw new Error(`${getBasename(step.path)} already exists`);
+                }
+                if (step.isFolder) {
+                    await vscode.workspace.fs.createDirectory(uri);
+                } else if (!(await createFile(step.path))) {
+                    return false;
+                }
+                this.provider.invalidatePath(uri);
+                break;
+            }
+            case 'move':
+                return this._move(step.from, step.to);
+            case 'copy':
+                await vscode.workspace.fs.copy(toUri(step.from), toUri(step.to), { overwrite: false });
+                this.provider.invalidatePath(toUri(step.to));
+                break;
+            case 'delete':
+                await vscode.workspace.fs.delete(toUri(step.path), { useTrash: step.trashed, recursive: true });
+                step.deletedAt = Date.now();
+                this.provider.invalidatePath(toUri(step.path));
+                step.favorites.forEach(({ item }) => this.provider.removeFavorite(getItemKey(item)));
+                break;
+        }
+        return true;
+    }
+
+    /**
+     * Move a file or folder, favorites follow
+     * @returns {Promise<boolean>} - false if the move was cancelled
+     */
+    async _move(fromPath, toPath) {
+        if (!(await moveItem(fromPath, toPath))) return false;
+        this.provider.invalidatePath(toUri(fromPath));
+        this.provider.invalidatePath(toUri(toPath));
+        this.provider.renamePath(fromPath, toPath);
+        return true;
+    }
+
+    /**
+     * Move something the journal created to the trash (deleted permanently where there is no trash)
+     */
+    async _trash(itemPath) {
+        const uri = toUri(itemPath);
+        await vscode.workspace.fs.delete(uri, { useTrash: uri.scheme === 'file', recursive: true });
+        this.provider.invalidatePath(uri);
+    }
+}
+
+module.exports = FileOperationJournal;
@@ -0,0 +1,123 @@
+/**
+ * Locate helpers - find where a missing favorite went: files/folders with the same name in the workspace
+ * and, for bookmarks, files containing the bookmarked line. Searches go through workspace.findFiles,
+ * so files.exclude and search.exclude apply, and skip what yasinFavorites.exclude and .gitignore hide.
+ */
+const vscode = require('vscode');
+const path = require('path');
+const { toUri, toItemPath, getBasename } = require('./uris');
+const { filterExcludedUris } = require('./exclusions');
+
+// Maximum number of candidates offered
+const LOCATE_RESULT_LIMIT = 50;
+// Maximum number of files read when searching for a bookmark's line
+const CONTENT_SCAN_LIMIT = 500;
+
+/**
+ * Turn a file name into a glob matching it - glob characters become `?` (results are compared by name)
+ * @param {string} name
+ * @returns {string}
+ */
+function toNameGlob(name) {
+    return name.replace(/[*?[\]{}]/g, '?');
+}
+
+/**
+ * Count the trailing path segments two paths share (more = more likely the same file)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function countCommonTail(a, b) {
+    const segmentsA = toUri(a).path.split('/').reverse();
+    const segmentsB = toUri(b).path.split('/').reverse();
+    let count = 0;
+    while (count < segmentsA.length && segmentsA[count] === segmentsB[count]) {
+        count++;
+    }
+    return count;
+}
+
+/**
+ * Find folders with the given name - findFiles only returns files, so use the folders of files below them
+ * @param {string} name
+ * @returns {Promise<vscode.Uri[]>}
+ */
+async function findFolders(name) {
+    const files = await filterExcludedUris(
+        await vscode.workspace.findFiles(`**/${toNameGlob(name)}/**`, undefined, LOCATE_RESULT_LIMIT * 20)
+    );
+    const folders = new Map();
+    files.forEach(file => {
+        let folder = vscode.Uri.joinPath(file, '..');
+        for (;;) {
+            if (path.posix.basename(folder.path) === name) {
+                folders.set(folder.toString(), folder);
+            }
+            const parent = vscode.Uri.joinPath(folder, '..');
+            if (parent.path === folder.path) break;
+            folder = parent;
+        }
+    });
+    return Array.from(folders.values());
+}
+
+/**
+ * Find files containing a bookmark's anchor line, among files with the same extension
+ * @param {{path: string, anchor: string}} bookmark
+ * @param {Set<string>} skip - Paths already found
+ * @returns {Promise<vscode.Uri[]>}
+ */
+async function findFilesContaining(bookmark, skip) {
+    const extension = path.posix.extname(getBasename(bookmark.path));
+    const files = await filterExcludedUris(
+        await vscode.workspace.findFiles(`**/*${toNameGlob(extension)}`, undefined, CONTENT_SCAN_LIMIT)
+    );
+    const found = [];
+    for (const file of files) {
+        if (skip.has(toItemPath(file))) continue;
+        try {
+            const text = new TextDecoder().decode(await vscode.workspace.fs.readFile(file));
+            if (text.includes(bookmark.anchor)) {
+                found.push(file);
+            }
+        } catch (e) {
+            // Unreadable - skip
+        }
+    }
+    return found;
+}
+
+/**
+ * Find candidates for a missing favorite, most likely first
+ * @param {{path: string, type: string, anchor?: string}} item
+ * @returns {Promise<Array<{path: string, reason: string}>>}
+ */
+async function findCandidates(item) {
+    const name = getBasename(item.path);
+    const candidates = [];
+
+    const sameName = item.type === 'folder'
+        ? await findFolders(name)
+        : (await filterExcludedUris(await vscode.workspace.findFiles(`**/${toNameGlob(name)}`, undefined, LOCATE_RESULT_LIMIT * 2)))
+            .filter(uri => path.posix.basename(uri.path) === name);
+    sameName.forEach(uri => candidates.push({ path: toItemPath(uri), reason: 'Same name' }));
+
+    if (item.type === 'bookmark' && item.anchor) {
+        const skip = new Set([item.path, ...candidates.map(candidate => candidate.path)]);
+        (await findFilesContaining(item, skip)).forEach(uri => {
+            candidates.push({ path: toItemPath(uri), reason: 'Contains the bookmarked line' });
+        });
+    }
+
+    return candidates
+        .filter(candidate => candidate.path !== item.path)
+        .map(candidate => ({ ...candidate, score: countCommonTail(candidate.path, item.path) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, LOCATE_RESULT_LIMIT)
+        .map(({ score, ...candidate }) => candidate);
+}
+
+module.exports = {
+    findCandidates
+};
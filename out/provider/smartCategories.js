@@ -0,0 +1,129 @@
+/**
+ * Smart categories - saved queries listing the workspace files that match them:
+ *   { name, include, exclude?, modifiedWithin?, maxResults?, sortOrder? }
+ * include / exclude are globs relative to the workspace folders (e.g. all spec files below src/payments),
+ * modifiedWithin keeps files modified in the last N hours. Searches go through workspace.findFiles,
+ * so files.exclude and search.exclude apply as well, and then drop what yasinFavorites.exclude and
+ * .gitignore hide in folder listings.
+ */
+const vscode = require('vscode');
+const { toItemPath, getBasename, statItem } = require('./uris');
+const { globToRegExp, getGlobError } = require('./glob');
+const { needsStats, compareEntries } = require('./sorting');
+const { filterExcludedUris } = require('./exclusions');
+
+// Files searched per smart category before they are filtered, sorted and capped
+const SMART_SCAN_LIMIT = 5000;
+// Files listed when a rule sets no maximum
+const DEFAULT_MAX_RESULTS = 100;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Get a glob's match target for a URI - its path relative to the workspace folder
+ * @param {vscode.Uri} uri
+ * @returns {string}
+ */
+function getRelativePath(uri) {
+    return vscode.workspace.asRelativePath(uri, false);
+}
+
+/**
+ * Check a rule's include and exclude globs
+ * @param {{include: string, exclude?: string}} rule
+ * @returns {string|undefined} - What is wrong with them, undefined if both compile
+ */
+function getSmartRuleError(rule) {
+    const includeError = getGlobError(rule.include);
+    if (includeError) return `Invalid glob "${rule.include}": ${includeError}`;
+    const excludeError = rule.exclude && getGlobError(rule.exclude);
+    if (excludeError) return `Invalid exclude glob "${rule.exclude}": ${excludeError}`;
+    return undefined;
+}
+
+/**
+ * Check whether a file matches a rule's include and exclude globs (not its time limit) - never for a rule
+ * whose globs don't compile
+ * @param {{include: string, exclude?: string}} rule
+ * @param {vscode.Uri} uri
+ * @returns {boolean}
+ */
+function matchesSmartRule(rule, uri) {
+    if (getSmartRuleError(rule)) return false;
+    const relativePath = getRelativePath(uri);
+    return globToRegExp(rule.include).test(relativePath) &&
+        !(rule.exclude && globToRegExp(rule.exclude).test(relativePath));
+}
+
+/**
+ * Check whether a rule's results depend on file contents changing (modification times or sizes)
+ * @param {{modifiedWithin?: number, sortOrder?: string}} rule
+ * @param {string} defaultOrder - Used when the rule has no sort order
+ * @returns {boolean}
+ */
+function dependsOnChanges(rule, defaultOrder) {
+    return !!rule.modifiedWithin || needsStats(rule.sortOrder || defaultOrder);
+}
+
+/**
+ * Describe a rule in words, e.g. for tooltips
+ * @param {{include: string, exclude?: string, modifiedWithin?: number, maxResults?: number}} rule
+ * @returns {string}
+ */
+function describeSmartRule(rule) {
+    const lines = [`Files matching ${rule.include}`];
+    if (rule.exclude) {
+        lines.push(`except ${rule.exclude}`);
+    }
+    if (rule.modifiedWithin) {
+        const hours = rule.modifiedWithin;
+        lines.push(`modified in the last ${hours % 24 === 0 ? `${hours / 24} day(s)` : `${hours} hour(s)`}`);
+    }
+    lines.push(`up to ${rule.maxResults || DEFAULT_MAX_RESULTS} files`);
+    return lines.join('\n');
+}
+
+/**
+ * Find the files of a smart category, sorted and capped
+ * @param {{include: string, exclude?: string, modifiedWithin?: number, maxResults?: number, sortOrder?: string}} rule
+ * @param {string} defaultOrder - Used when the rule has no sort order (MANUAL lists A → Z)
+ * @returns {Promise<{files: Array<{path: string, name: string}>, total: number}>} - total before the cap
+ * @throws {Error} If the rule's globs don't compile
+ */
+async function findSmartCategoryFiles(rule, defaultOrder) {
+    const ruleError = getSmartRuleError(rule);
+    if (ruleError) {
+        throw new Error(ruleError);
+    }
+    const order = rule.sortOrder || defaultOrder;
+    const exclude = rule.exclude ? globToRegExp(rule.exclude) : undefined;
+    const found = (await vscode.workspace.findFiles(rule.include, undefined, SMART_SCAN_LIMIT))
+        .filter(uri => !exclude || !exclude.test(getRelativePath(uri)));
+    let entries = (await filterExcludedUris(found))
+        .map(uri => ({ path: toItemPath(uri), name: getBasename(toItemPath(uri)) }));
+
+    if (dependsOnChanges(rule, defaultOrder)) {
+        await Promise.all(entries.map(async entry => {
+            entry.stat = await statItem(entry.path);
+        }));
+        if (rule.modifiedWithin) {
+            const since = Date.now() - rule.modifiedWithin * HOUR_MS;
+            entries = entries.filter(entry => entry.stat && entry.stat.mtime >= since);
+        }
+    }
+
+    entries.sort((a, b) => compareEntries(a, b, order) || a.path.localeCompare(b.path));
+    return {
+        files: entries.slice(0, rule.maxResults || DEFAULT_MAX_RESULTS).map(({ path, name }) => ({ path, name })),
+        total: entries.length
+    };
+}
+
+module.exports = {
+    DEFAULT_MAX_RESULTS,
+    getSmartRuleError,
+    matchesSmartRule,
+    dependsOnChanges,
+    describeSmartRule,
+    findSmartCategoryFiles
+};
@@ -0,0 +1,95 @@
+/**
+ * Sort orders for favorites and folder contents - entries are compared as { name, isDir, stat }:
+ *   ASC / DESC - name, case-insensitive
+ *   NATURAL    - name with numbers compared by value (file2 before file10)
+ *   EXTENSION  - extension, then natural name
+ *   MODIFIED   - newest first
+ *   CREATED    - newest first
+ *   SIZE       - largest first
+ * MANUAL keeps the stored order of favorites; folder contents are then listed A → Z.
+ */
+const path = require('path');
+
+// Sort orders that need the entries' file stats
+const STAT_SORT_ORDERS = ['MODIFIED', 'CREATED', 'SIZE'];
+
+// Folder placement among files in folder listings (yasinFavorites.foldersPosition)
+const FOLDERS_FIRST = 'first';
+const FOLDERS_LAST = 'last';
+const FOLDERS_MIXED = 'mixed';
+
+const naturalCollator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+/**
+ * Get the lower-case extension of a file name ('' for none - also for dotfiles like .gitignore)
+ * @param {string} name
+ * @returns {string}
+ */
+function getExtension(name) {
+    return path.extname(name).toLowerCase();
+}
+
+/**
+ * Check whether a sort order needs file stats
+ * @param {string} order
+ * @returns {boolean}
+ */
+function needsStats(order) {
+    return STAT_SORT_ORDERS.includes(order);
+}
+
+/**
+ * Compare two entries by a sort order (ties are broken by name)
+ * @param {{name: string, stat?: {mtime: number, ctime: number, size: number}}} a
+ * @param {{name: string, stat?: {mtime: number, ctime: number, size: number}}} b
+ * @param {string} order
+ * @returns {number}
+ */
+function compareEntries(a, b, order) {
+    const byName = a.name.toLowerCase().localeCompare(b.name.toLowerCase());
+    const byStat = field => (b.stat?.[field] || 0) - (a.stat?.[field] || 0);
+
+    switch (order) {
+        case 'DESC':
+            return -byName;
+        case 'NATURAL':
+            return naturalCollator.compare(a.name, b.name);
+        case 'EXTENSION':
+            return naturalCollator.compare(getExtension(a.name), getExtension(b.name)) ||
+                naturalCollator.compare(a.name, b.name);
+        case 'MODIFIED':
+            return byStat('mtime') || byName;
+        case 'CREATED':
+            return byStat('ctime') || byName;
+        case 'SIZE':
+            return byStat('size') || byName;
+        default:
+            // ASC, and MANUAL for folder contents
+            return byName;
+    }
+}
+
+/**
+ * Compare two folder entries - folders first, last or mixed with files, then by the sort order
+ * @param {{name: string, isDir: boolean, stat?: object}} a
+ * @param {{name: string, isDir: boolean, stat?: object}} b
+ * @param {string} order
+ * @param {'first' | 'last' | 'mixed'} foldersPosition
+ * @returns {number}
+ */
+function compareFolderEntries(a, b, order, foldersPosition) {
+    if (foldersPosition !== FOLDERS_MIXED && a.isDir !== b.isDir) {
+        return (a.isDir ? -1 : 1) * (foldersPosition === FOLDERS_FIRST ? 1 : -1);
+    }
+    return compareEntries(a, b, order);
+}
+
+module.exports = {
+    FOLDERS_FIRST,
+    FOLDERS_LAST,
+    FOLDERS_MIXED,
+    getExtension,
+    needsStats,
+    compareEntries,
+    compareFolderEntries
+};
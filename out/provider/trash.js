@@ -0,0 +1,129 @@
+/**
+ * Trash helpers - VS Code can move files to the OS trash but not get them back, so restoring reads the
+ * trash folder directly: the freedesktop.org trash on Linux (info/*.trashinfo records the original path)
+ * and ~/.Trash on macOS (matched by name and time). Not supported on Windows or for non-file URIs.
+ */
+const vscode = require('vscode');
+const os = require('os');
+const path = require('path');
+const { toUri } = require('./uris');
+
+// How long before the recorded delete time a trashed entry may have been created (clock/stat rounding)
+const TRASH_TIME_TOLERANCE_MS = 5000;
+
+/**
+ * List a directory, empty if it can't be read
+ * @param {vscode.Uri} dirUri
+ * @returns {Promise<Array<[string, vscode.FileType]>>}
+ */
+async function readDirectorySafe(dirUri) {
+    try {
+        return await vscode.workspace.fs.readDirectory(dirUri);
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Find the trashed copy of a path in the freedesktop.org home trash
+ * @param {string} fsPath - Original path
+ * @param {number} deletedAt - When it was deleted (ms)
+ * @returns {Promise<{fileUri: vscode.Uri, infoUri: vscode.Uri}|undefined>} - The one trashed closest to deletedAt
+ */
+async function findInFreedesktopTrash(fsPath, deletedAt) {
+    const dataHome = process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share');
+    const trashUri = vscode.Uri.file(path.join(dataHome, 'Trash'));
+    const infoDir = vscode.Uri.joinPath(trashUri, 'info');
+
+    let found;
+    for (const [name] of await readDirectorySafe(infoDir)) {
+        if (!name.endsWith('.trashinfo')) continue;
+        const infoUri = vscode.Uri.joinPath(infoDir, name);
+        let info;
+        try {
+            info = new TextDecoder().decode(await vscode.workspace.fs.readFile(infoUri));
+        } catch (e) {
+            continue;
+        }
+        const originalPath = /^Path=(.*)$/m.exec(info);
+        if (!originalPath || decodeURIComponent(originalPath[1]) !== fsPath) continue;
+
+        // Later trashings of the same path (e.g. a copy that replaced it) must not be restored instead
+        const deletionDate = Date.parse((/^DeletionDate=(.*)$/m.exec(info) || [])[1]) || 0;
+        const distance = Math.abs(deletionDate - deletedAt);
+        if (!found || distance < found.distance) {
+            found = {
+                fileUri: vscode.Uri.joinPath(trashUri, 'files', name.slice(0, -'.trashinfo'.length)),
+                infoUri,
+                distance
+            };
+        }
+    }
+    return found;
+}
+
+/**
+ * Find the trashed copy of a path in the macOS trash - Finder keeps the name, adding a time suffix
+ * ("name 10.21.33.txt") if the name is taken, so match by name and pick the entry trashed closest to deletedAt
+ * @param {string} fsPath - Original path
+ * @param {number} deletedAt - When it was deleted (ms)
+ * @returns {Promise<{fileUri: vscode.Uri}|undefined>}
+ */
+async function findInMacTrash(fsPath, deletedAt) {
+    const trashUri = vscode.Uri.file(path.join(os.homedir(), '.Trash'));
+    const extension = path.extname(fsPath);
+    const stem = path.basename(fsPath, extension);
+
+    let found;
+    for (const [name] of await readDirectorySafe(trashUri)) {
+        const sameName = name === stem + extension || (name.startsWith(stem + ' ') && name.endsWith(extension));
+        if (!sameName) continue;
+        const fileUri = vscode.Uri.joinPath(trashUri, name);
+        let stat;
+        try {
+            stat = await vscode.workspace.fs.stat(fileUri);
+        } catch (e) {
+            continue;
+        }
+        // Moving to the trash updates ctime, older entries are earlier deletes of the same name
+        const trashedAt = stat.ctime || stat.mtime;
+        const distance = Math.abs(trashedAt - deletedAt);
+        if (trashedAt >= deletedAt - TRASH_TIME_TOLERANCE_MS && (!found || distance < found.distance)) {
+            found = { fileUri, distance };
+        }
+    }
+    return found;
+}
+
+/**
+ * Move a trashed file or folder back to where it was
+ * @param {string} itemPath - Original path
+ * @param {number} deletedAt - When it was moved to the trash (ms)
+ * @returns {Promise<boolean>} - false if it can't be found (or restoring isn't supported here)
+ */
+async function restoreFromTrash(itemPath, deletedAt) {
+    const originalUri = toUri(itemPath);
+    if (originalUri.scheme !== 'file') return false;
+
+    let found;
+    if (process.platform === 'darwin') {
+        found = await findInMacTrash(originalUri.fsPath, deletedAt);
+    } else if (process.platform !== 'win32') {
+        found = await findInFreedesktopTrash(originalUri.fsPath, deletedAt);
+    }
+    if (!found) return false;
+
+    await vscode.workspace.fs.rename(found.fileUri, originalUri, { overwrite: false });
+    if (found.infoUri) {
+        try {
+            await vscode.workspace.fs.delete(found.infoUri);
+        } catch (e) {
+            // A stale .trashinfo is harmless
+        }
+    }
+    return true;
+}
+
+module.exports = {
+    restoreFromTrash
+};
@@ -0,0 +1,115 @@
+/**
+ * Favorite location helpers - a stored favorite path is either a filesystem path (file scheme,
+ * kept as-is so existing settings load unchanged) or a full URI string for any other file system
+ * (vscode-remote://, vscode-vfs://, memfs:/, ...). All I/O goes through vscode.workspace.fs so any
+ * registered FileSystemProvider works.
+ */
+const vscode = require('vscode');
+const path = require('path');
+
+// scheme:/... with a 2+ character scheme (single letters are Windows drive letters)
+const URI_PATTERN = /^[a-zA-Z][\w+.-]+:\//;
+
+/**
+ * Check whether a stored path is a URI string rather than a filesystem path
+ * @param {string} itemPath
+ * @returns {boolean}
+ */
+function isUriString(itemPath) {
+    return URI_PATTERN.test(itemPath);
+}
+
+/**
+ * Convert a stored path to a Uri
+ * @param {string} itemPath - Filesystem path or URI string
+ * @returns {vscode.Uri}
+ */
+function toUri(itemPath) {
+    return isUriString(itemPath) ? vscode.Uri.parse(itemPath) : vscode.Uri.file(itemPath);
+}
+
+/**
+ * Convert a Uri to a stored path - file URIs become filesystem paths, others stay URI strings
+ * @param {vscode.Uri} uri
+ * @returns {string}
+ */
+function toItemPath(uri) {
+    return uri.scheme === 'file' ? uri.fsPath : uri.toString();
+}
+
+/**
+ * Get the last segment of a stored path
+ * @param {string} itemPath
+ * @returns {string}
+ */
+function getBasename(itemPath) {
+    return isUriString(itemPath) ? path.posix.basename(toUri(itemPath).path) : path.basename(itemPath);
+}
+
+/**
+ * Get the parent of a stored path
+ * @param {string} itemPath
+ * @returns {string}
+ */
+function getDirname(itemPath) {
+    if (!isUriString(itemPath)) return path.dirname(itemPath);
+    const uri = toUri(itemPath);
+    return uri.with({ path: path.posix.dirname(uri.path) }).toString();
+}
+
+/**
+ * Join a stored directory path and a child name
+ * @param {string} dirPath
+ * @param {string} name
+ * @returns {string}
+ */
+function joinItemPath(dirPath, name) {
+    return isUriString(dirPath) ? toItemPath(vscode.Uri.joinPath(toUri(dirPath), name)) : path.join(dirPath, name);
+}
+
+/**
+ * Check whether a stored path is the given path or nested inside it
+ * @param {string} itemPath
+ * @param {string} parentPath
+ * @returns {boolean}
+ */
+function isSameOrInside(itemPath, parentPath) {
+    const child = toUri(itemPath).toString();
+    const parent = toUri(parentPath).toString().replace(/\/$/, '');
+    return child === parent || child.startsWith(parent + '/');
+}
+
+/**
+ * Stat a stored path
+ * @param {string} itemPath
+ * @returns {Promise<vscode.FileStat|undefined>} - undefined if it doesn't exist
+ */
+async function statItem(itemPath) {
+    try {
+        return await vscode.workspace.fs.stat(toUri(itemPath));
+    } catch (e) {
+        return undefined;
+    }
+}
+
+/**
+ * Check whether a FileStat / FileType describes a directory (including symlinks to directories)
+ * @param {vscode.FileStat|vscode.FileType|undefined} statOrType
+ * @returns {boolean}
+ */
+function isDirectory(statOrType) {
+    const type = typeof statOrType === 'number' ? statOrType : statOrType?.type;
+    return !!type && (type & vscode.FileType.Directory) !== 0;
+}
+
+module.exports = {
+    isUriString,
+    toUri,
+    toItemPath,
+    getBasename,
+    getDirname,
+    joinItemPath,
+    isSameOrInside,
+    statItem,
+    isDirectory
+};
@@ -0,0 +1,110 @@
+/**
+ * UsageHistory - how often and when files were opened, for the Recent and Frequent sections
+ * Kept in workspaceState as { [itemPath]: { count, lastOpened } }, so every workspace has its own history.
+ */
+const vscode = require('vscode');
+const { toUri, joinItemPath, isSameOrInside } = require('./uris');
+
+const STATE_KEY = 'yasinFavorites.usageHistory';
+
+// Number of files remembered - the ones opened longest ago are dropped
+const HISTORY_LIMIT = 500;
+
+class UsageHistory {
+    /**
+     * @param {vscode.Memento} state - The extension's workspaceState
+     */
+    constructor(state) {
+        this.state = state;
+        this.entries = { ...state.get(STATE_KEY, {}) };
+
+        // Fired when the history changes
+        this._onDidChange = new vscode.EventEmitter();
+        this.onDidChange = this._onDidChange.event;
+    }
+
+    /**
+     * Count an open of a file
+     * @param {string} itemPath
+     */
+    recordOpen(itemPath) {
+        const entry = this.entries[itemPath];
+        this.entries[itemPath] = { count: (entry?.count || 0) + 1, lastOpened: Date.now() };
+
+        const paths = Object.keys(this.entries);
+        if (paths.length > HISTORY_LIMIT) {
+            paths
+                .sort((a, b) => this.entries[a].lastOpened - this.entries[b].lastOpened)
+                .slice(0, paths.length - HISTORY_LIMIT)
+                .forEach(oldPath => delete this.entries[oldPath]);
+        }
+        this._save();
+    }
+
+    /**
+     * Get the history, most recently opened first
+     * @returns {Array<{path: string, count: number, lastOpened: number}>}
+     */
+    getRecent() {
+        return this._list().sort((a, b) => b.lastOpened - a.lastOpened);
+    }
+
+    /**
+     * Get the history, most often opened first (ties: most recently opened first)
+     * @returns {Array<{path: string, count: number, lastOpened: number}>}
+     */
+    getFrequent() {
+        return this._list().sort((a, b) => b.count - a.count || b.lastOpened - a.lastOpened);
+    }
+
+    /**
+     * Forget a file
+     * @param {string} itemPath
+     */
+    remove(itemPath) {
+        if (!this.entries[itemPath]) return;
+        delete this.entries[itemPath];
+        this._save();
+    }
+
+    /**
+     * Follow a renamed or moved file or folder - entries at or below the old path move along
+     * @param {string} oldPath
+     * @param {string} newPath
+     */
+    renamePath(oldPath, newPath) {
+        const oldKey = toUri(oldPath).toString().replace(/\/$/, '');
+        const moved = Object.keys(this.entries).filter(itemPath => isSameOrInside(itemPath, oldPath));
+        if (moved.length === 0) return;
+        moved.forEach(itemPath => {
+            const entry = this.entries[itemPath];
+            delete this.entries[itemPath];
+            const movedPath = toUri(itemPath).toString().slice(oldKey.length)
+                .split('/')
+                .filter(Boolean)
+                .reduce((parentPath, segment) => joinItemPath(parentPath, decodeURIComponent(segment)), newPath);
+            this.entries[movedPath] = entry;
+        });
+        this._save();
+    }
+
+    /**
+     * Forget everything
+     */
+    clear() {
+        if (Object.keys(this.entries).length === 0) return;
+        this.entries = {};
+        this._save();
+    }
+
+    _list() {
+        return Object.entries(this.entries).map(([itemPath, entry]) => ({ path: itemPath, ...entry }));
+    }
+
+    _save() {
+        this.state.update(STATE_KEY, this.entries);
+        this._onDidChange.fire();
+    }
+}
+
+module.exports = UsageHistory;